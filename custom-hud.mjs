@@ -9,33 +9,91 @@
  * - Transcript JSONL (session start, running agents)
  */
 
-import { existsSync, readFileSync, writeFileSync, statSync, openSync, readSync, closeSync, mkdirSync, createReadStream } from "node:fs";
-import { homedir } from "node:os";
-import { join, dirname, basename } from "node:path";
-import { createInterface } from "node:readline";
+import { existsSync, readFileSync, writeFileSync, appendFileSync, copyFileSync, renameSync, realpathSync, statSync, openSync, readSync, writeSync, closeSync, mkdirSync, readdirSync, unlinkSync, mkdtempSync, rmSync } from "node:fs";
+import { homedir, hostname, tmpdir } from "node:os";
+import { join, dirname, basename, isAbsolute, sep } from "node:path";
+import { createHash, randomBytes } from "node:crypto";
+import http from "node:http";
 import https from "node:https";
+import tls from "node:tls";
+import tty from "node:tty";
+import { isIP } from "node:net";
+import { spawn, execFile } from "node:child_process";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 const CACHE_TTL_MS = 60_000;          // 60s cache for usage API
-const CACHE_TTL_FAILURE_MS = 15_000;  // 15s on failure
+const CACHE_TTL_FAILURE_MS = 15_000;  // first retry after a failure, doubling each time
+const BACKOFF_MAX_MS = 10 * 60_000;   // ...up to 10 min between attempts
+const USAGE_HISTORY_MAX_MS = 24 * 3_600_000; // burn-rate samples kept in the usage cache
+const USAGE_HISTORY_THIN_MS = 10 * 60_000;   // spacing for samples older than an hour
 const API_TIMEOUT_MS = 8000;
-const MAX_TAIL_BYTES = 512 * 1024;    // 500KB tail read for large transcripts
+const READ_CHUNK_BYTES = 1024 * 1024; // 1MB reads when catching up on a transcript
+const HEAD_FINGERPRINT_BYTES = 1024;  // leading bytes hashed to spot a replaced transcript
+const PARSER_STATE_VERSION = 9;       // bump when the persisted parser state changes shape
+const TRANSCRIPT_CACHE_MAX_AGE_MS = 7 * 24 * 3_600_000;
+const RESUME_GAP_MS = 60 * 60_000;    // a gap this long in the transcript starts a new run (--resume/--continue)
 const MAX_AGENT_MAP = 100;
 const STALE_AGENT_MS = 30 * 60_000;   // 30 min = stale agent
+const AGENT_IDLE_MS = 2 * 60_000;     // a subagent quiet this long is flagged idle
+const MAX_AGENT_DEPTH = 3;            // nesting levels followed through sidechain transcripts
+const PROMPT_KEY_CHARS = 200;         // prompt prefix used to match a Task call to its sidechain
+const MAX_PENDING_TOOLS = 20;         // tool calls awaiting a result, oldest dropped first
+const TOOL_SLOW_MS = 60_000;          // a pending tool call this old is shown in yellow
+const CONTEXT_WINDOW_DEFAULT = 200_000;
+const CONTEXT_WINDOW_EXTENDED = 1_000_000; // "[1m]" model variants
+const AUTOCOMPACT_BUFFER_TOKENS = 45_000;  // Claude Code compacts this far short of a full window
 const OAUTH_CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
 
 const VERSION_CACHE_TTL_MS = 3_600_000; // 1hr cache for npm version check
+const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+const DEFAULT_USAGE_URL = "https://api.anthropic.com/";
+const DEFAULT_AUTH_URL = "https://platform.claude.com/";
+const CLAUDE_CODE_PACKAGE = "@anthropic-ai/claude-code";
+const GIT_CACHE_TTL_MS = 5_000;         // git status is re-run at most this often per directory
+const GIT_SLOW_TTL_MS = 60_000;         // ...or this often once it has timed out there
+const GIT_TIMEOUT_MS = 500;             // upper bound on one git status call
+const SESSIONS_CACHE_TTL_MS = 15_000;   // how often other sessions' transcripts are looked at
+const SESSION_ACTIVE_MS = 10 * 60_000;  // a transcript written to this recently is an active session
+const PLUGIN_TIMEOUT_MS = 100;          // default time a plugin's collect() gets
+const PLUGIN_TIMEOUT_MAX_MS = 1_000;    // ...and the most it can ask for
+const PLUGIN_IMPORT_TIMEOUT_MS = 250;   // time for all plugin modules to load, side by side
+const ALERT_LOCK_STALE_MS = 5_000;      // alert checks are quick; a lock older than this is abandoned
+const REFRESH_LOCK_STALE_MS = 60_000;   // longer than the slowest possible refresh
+const CRED_LOCK_STALE_MS = 30_000;      // longer than one token refresh
+const CRED_LOCK_WAIT_MS = 20_000;       // how long to wait for another process's token refresh
+const USAGE_STALE_MS = 2 * CACHE_TTL_MS; // older usage data is shown with its age
 
 const HOME = homedir();
-const CACHE_PATH = join(HOME, ".claude", "hud", ".usage-cache.json");
-const VERSION_CACHE_PATH = join(HOME, ".claude", "hud", ".version-cache.json");
-const CRED_PATH = join(HOME, ".claude", ".credentials.json");
+// Claude Code keeps its settings, credentials and transcripts here.
+const CLAUDE_DIR = process.env.CLAUDE_CONFIG_DIR || join(HOME, ".claude");
+const HUD_DIR = join(CLAUDE_DIR, "hud");
+const CACHE_PATH = join(HUD_DIR, ".usage-cache.json");
+const VERSION_CACHE_PATH = join(HUD_DIR, ".version-cache.json");
+const CONFIG_PATH = join(HUD_DIR, "config.json");
+const TRANSCRIPT_CACHE_DIR = join(HUD_DIR, ".transcript-cache");
+const REFRESH_LOCK_PATH = join(HUD_DIR, ".refresh.lock");
+const CRED_LOCK_PATH = join(HUD_DIR, ".credentials.lock");
+const GIT_CACHE_PATH = join(HUD_DIR, ".git-cache.json");
+const ALERT_STATE_PATH = join(HUD_DIR, ".alert-state.json");
+const ALERT_LOCK_PATH = join(HUD_DIR, ".alerts.lock");
+const PLUGINS_DIR = join(HUD_DIR, "segments");
+const PROJECTS_DIR = join(CLAUDE_DIR, "projects");
+const SESSIONS_CACHE_PATH = join(HUD_DIR, ".sessions-cache.json");
+const LAST_STDIN_PATH = join(HUD_DIR, ".last-stdin.json");
+const HISTORY_PATH = join(HUD_DIR, "history.jsonl");
+const HISTORY_STATE_PATH = join(HUD_DIR, ".history-state.json");
+const CRED_PATH = join(CLAUDE_DIR, ".credentials.json");
+const SETTINGS_PATH = join(CLAUDE_DIR, "settings.json");
 
 // ── ANSI Colors ────────────────────────────────────────────────────────────────
+// `c` starts out as the plain 16-color palette and is rewritten in place by
+// applyTheme() once the config is known, so render code can keep using c.green.
 const c = {
   reset: "\x1b[0m",
   dim: "\x1b[2m",
   bold: "\x1b[1m",
+  underline: "\x1b[4m",
   green: "\x1b[32m",
   yellow: "\x1b[33m",
   red: "\x1b[31m",
@@ -45,6 +103,460 @@ const c = {
   white: "\x1b[37m",
   gray: "\x1b[90m",
 };
+const COLOR_NAMES = ["green", "yellow", "red", "cyan", "blue", "magenta", "white", "gray"];
+
+// Hex values drive 256-color and truecolor output; `ansi16` pins the basic
+// SGR code used on 16-color terminals. A null color renders as default text.
+const THEMES = {
+  dark: {
+    colors: { green: "#87d787", yellow: "#d7d75f", red: "#ff5f5f", cyan: "#5fd7d7", blue: "#5f87ff", magenta: "#d787d7", white: "#e4e4e4", gray: "#8a8a8a" },
+    ansi16: { green: 32, yellow: 33, red: 31, cyan: 36, blue: 34, magenta: 35, white: 37, gray: 90 },
+  },
+  light: {
+    colors: { green: "#1a7f37", yellow: "#9a6700", red: "#cf222e", cyan: "#1b7c83", blue: "#0550ae", magenta: "#8250df", white: "#24292f", gray: "#6e7781" },
+    ansi16: { green: 32, yellow: 33, red: 31, cyan: 36, blue: 34, magenta: 35, white: 30, gray: 90 },
+  },
+  "high-contrast": {
+    colors: { green: "#00ff00", yellow: "#ffff00", red: "#ff0000", cyan: "#00ffff", blue: "#5c5cff", magenta: "#ff00ff", white: "#ffffff", gray: "#d0d0d0" },
+    ansi16: { green: 92, yellow: 93, red: 91, cyan: 96, blue: 94, magenta: 95, white: 97, gray: 37 },
+  },
+  monochrome: {
+    colors: Object.fromEntries(COLOR_NAMES.map((name) => [name, null])),
+  },
+};
+
+const COLOR_LEVELS = { none: 0, 16: 1, 256: 2, truecolor: 3 };
+
+// xterm's default 16-color palette, used to pick the nearest basic color for
+// user palettes on terminals without 256-color support.
+const ANSI16_RGB = [
+  [30, 0, 0, 0], [31, 205, 0, 0], [32, 0, 205, 0], [33, 205, 205, 0], [34, 0, 0, 238], [35, 205, 0, 205], [36, 0, 205, 205], [37, 229, 229, 229],
+  [90, 127, 127, 127], [91, 255, 0, 0], [92, 0, 255, 0], [93, 255, 255, 0], [94, 92, 92, 255], [95, 255, 0, 255], [96, 0, 255, 255], [97, 255, 255, 255],
+];
+
+// State markers for warn/crit percentages, so they read without relying on hue.
+const markers = { mode: "none", warn: "!", crit: "!!" };
+
+function detectColorLevel(env = process.env) {
+  // FORCE_COLOR wins over NO_COLOR, matching Node and most CLI tooling.
+  if (env.FORCE_COLOR !== undefined) {
+    if (env.FORCE_COLOR === "" || env.FORCE_COLOR === "true") return 1;
+    if (env.FORCE_COLOR === "false") return 0;
+    const n = parseInt(env.FORCE_COLOR, 10);
+    if (n >= 0 && n <= 3) return n;
+  }
+  if (env.NO_COLOR) return 0;
+  if (env.COLORTERM === "truecolor" || env.COLORTERM === "24bit") return 3;
+  if (/-256(colou?r)?$/i.test(env.TERM ?? "")) return 2;
+  return 1;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbTo256(r, g, b) {
+  if (r === g && g === b) {
+    if (r < 8) return 16;
+    if (r > 248) return 231;
+    return 232 + Math.round(((r - 8) / 247) * 23);
+  }
+  const q = (v) => (v < 48 ? 0 : v < 115 ? 1 : Math.floor((v - 35) / 40));
+  return 16 + 36 * q(r) + 6 * q(g) + q(b);
+}
+
+function rgbTo16(r, g, b) {
+  let best = 37, bestDist = Infinity;
+  for (const [code, cr, cg, cb] of ANSI16_RGB) {
+    const dist = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+    if (dist < bestDist) { bestDist = dist; best = code; }
+  }
+  return best;
+}
+
+function colorCode(hex, ansi16, level) {
+  if (!hex || level === 0) return "";
+  const [r, g, b] = hexToRgb(hex);
+  if (level >= 3) return `\x1b[38;2;${r};${g};${b}m`;
+  if (level === 2) return `\x1b[38;5;${rgbTo256(r, g, b)}m`;
+  return `\x1b[${ansi16 ?? rgbTo16(r, g, b)}m`;
+}
+
+function applyTheme(themeConfig, env = process.env) {
+  const theme = THEMES[themeConfig.name] ?? THEMES.dark;
+  const level = themeConfig.colorLevel === "auto" ? detectColorLevel(env) : COLOR_LEVELS[themeConfig.colorLevel];
+  const palette = themeConfig.palette ?? {};
+  for (const name of COLOR_NAMES) {
+    const custom = name in palette;
+    c[name] = colorCode(custom ? palette[name] : theme.colors[name], custom ? undefined : theme.ansi16?.[name], level);
+  }
+  // "auto" only adds markers when there is no color left to carry the state.
+  markers.mode = themeConfig.markers === "auto" ? (c.red ? "none" : "glyph") : themeConfig.markers;
+  markers.warn = themeConfig.glyphs?.warn ?? markers.warn;
+  markers.crit = themeConfig.glyphs?.crit ?? markers.crit;
+}
+
+// ── Config ─────────────────────────────────────────────────────────────────────
+// ~/.claude/hud/config.json, optionally overridden per project by
+// <project>/.claude/hud/config.json. Objects merge key by key, arrays replace.
+const DEFAULT_CONFIG = {
+  segments: ["fiveHour", "sevenDay", "modelLimit", "context", "session", "tools", "changes", "git", "agents", "todos", "sessions", "model", "version"],
+  hide: [],
+  thresholds: {},
+  labels: {},
+  agentTree: { maxRows: 5 },
+  layout: { width: "auto", margin: 2 },
+  cost: { prices: {} },
+  forecast: { enabled: true },
+  limits: { expanded: false },
+  context: { style: "percent", autoCompact: true, compactBuffer: AUTOCOMPACT_BUFFER_TOKENS },
+  todos: { detail: true },
+  alerts: { channels: [], command: "", events: ["threshold", "todos", "agents"] },
+  plugins: {},
+  version: { check: true, channel: "latest", registry: DEFAULT_REGISTRY },
+  network: { usageUrl: DEFAULT_USAGE_URL, authUrl: DEFAULT_AUTH_URL, proxy: "" },
+  render: { budgetMs: 250 },
+  history: { enabled: false, intervalSeconds: 60, maxBytes: 5 * 1024 * 1024, keep: 3 },
+  theme: { name: "dark", colorLevel: "auto", palette: {}, markers: "auto", glyphs: { warn: "!", crit: "!!" } },
+};
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isPercent = (v) => typeof v === "number" && isFinite(v) && v >= 0 && v <= 100;
+
+// An http(s) URL with a trailing slash, so paths resolve below it; null otherwise.
+function baseUrl(v) {
+  let url = null;
+  try { url = new URL(v); } catch { return null; }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+  return url.href.endsWith("/") ? url.href : url.href + "/";
+}
+
+function displayPath(p) {
+  return p === HOME || p.startsWith(HOME + sep) ? "~" + p.slice(HOME.length) : p;
+}
+
+function mergeConfig(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return out;
+}
+
+// One validator per top-level key. Each reports problems through err() and
+// returns the usable part of the value (undefined drops the key entirely).
+const CONFIG_VALIDATORS = {
+  segments(value, err) {
+    if (!Array.isArray(value)) return err("segments must be an array");
+    const out = [];
+    value.forEach((seg, i) => {
+      if (typeof seg === "string") {
+        if (Object.hasOwn(SEGMENTS, seg)) out.push(seg);
+        else err(`segments[${i}]: unknown segment "${seg}"`);
+      } else if (isPlainObject(seg) && typeof seg.text === "string") {
+        if (seg.color !== undefined && !COLOR_NAMES.includes(seg.color)) {
+          err(`segments[${i}].color must be one of ${COLOR_NAMES.join(", ")}`);
+          out.push({ text: seg.text });
+        } else out.push({ text: seg.text, color: seg.color });
+      } else err(`segments[${i}]: expected a segment id or { "text": "..." }`);
+    });
+    return out;
+  },
+  hide(value, err) {
+    if (!Array.isArray(value)) return err("hide must be an array of segment ids");
+    return value.filter((id, i) => Object.hasOwn(SEGMENTS, id) ? true : err(`hide[${i}]: unknown segment "${id}"`));
+  },
+  thresholds(value, err) {
+    if (!isPlainObject(value)) return err("thresholds must be an object");
+    const out = {};
+    for (const [id, t] of Object.entries(value)) {
+      if (!Object.hasOwn(SEGMENTS, id) || !SEGMENTS[id].warn) { err(`thresholds.${id}: segment has no thresholds`); continue; }
+      if (!isPlainObject(t)) { err(`thresholds.${id} must be { "warn": n, "crit": n }`); continue; }
+      const clean = {};
+      for (const k of ["warn", "crit"]) {
+        if (t[k] === undefined) continue;
+        if (isPercent(t[k])) clean[k] = t[k];
+        else err(`thresholds.${id}.${k} must be a number from 0 to 100`);
+      }
+      const warn = clean.warn ?? SEGMENTS[id].warn;
+      const crit = clean.crit ?? SEGMENTS[id].crit;
+      if (warn > crit) { err(`thresholds.${id}: warn (${warn}) is above crit (${crit})`); continue; }
+      out[id] = clean;
+    }
+    return out;
+  },
+  labels(value, err) {
+    if (!isPlainObject(value)) return err("labels must be an object");
+    const out = {};
+    for (const [id, label] of Object.entries(value)) {
+      if (!Object.hasOwn(SEGMENTS, id)) err(`labels.${id}: unknown segment`);
+      else if (typeof label !== "string") err(`labels.${id} must be a string`);
+      else out[id] = label;
+    }
+    return out;
+  },
+  agentTree(value, err) {
+    if (!isPlainObject(value)) return err("agentTree must be an object");
+    const out = {};
+    if (value.maxRows !== undefined) {
+      if (Number.isInteger(value.maxRows) && value.maxRows >= 0) out.maxRows = value.maxRows;
+      else err("agentTree.maxRows must be a non-negative integer");
+    }
+    return out;
+  },
+  layout(value, err) {
+    if (!isPlainObject(value)) return err("layout must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "width") {
+        if (v === "auto" || (Number.isInteger(v) && v > 0)) out.width = v;
+        else err('layout.width must be "auto" or a positive integer');
+      } else if (key === "margin") {
+        if (Number.isInteger(v) && v >= 0) out.margin = v;
+        else err("layout.margin must be a non-negative integer");
+      } else err(`layout: unknown key "${key}"`);
+    }
+    return out;
+  },
+  cost(value, err) {
+    if (!isPlainObject(value)) return err("cost must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key !== "prices") { err(`cost: unknown key "${key}"`); continue; }
+      if (!isPlainObject(v)) { err("cost.prices must be an object keyed by model id"); continue; }
+      out.prices = {};
+      for (const [model, price] of Object.entries(v)) {
+        const fields = ["input", "output", "cacheWrite", "cacheRead"];
+        if (isPlainObject(price) && fields.every((f) => typeof price[f] === "number" && price[f] >= 0)) {
+          out.prices[model] = price;
+        } else err(`cost.prices.${model} must set ${fields.join(", ")} in USD per million tokens`);
+      }
+    }
+    return out;
+  },
+  forecast(value, err) {
+    if (!isPlainObject(value)) return err("forecast must be an object");
+    if (Object.keys(value).some((k) => k !== "enabled")) err('forecast only supports "enabled"');
+    if (value.enabled === undefined) return {};
+    if (typeof value.enabled === "boolean") return { enabled: value.enabled };
+    err("forecast.enabled must be true or false");
+  },
+  history(value, err) {
+    if (!isPlainObject(value)) return err("history must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "enabled") {
+        if (typeof v === "boolean") out.enabled = v;
+        else err("history.enabled must be true or false");
+      } else if (key === "intervalSeconds" || key === "maxBytes" || key === "keep") {
+        if (Number.isInteger(v) && v > 0) out[key] = v;
+        else err(`history.${key} must be a positive integer`);
+      } else err(`history: unknown key "${key}"`);
+    }
+    return out;
+  },
+  limits(value, err) {
+    if (!isPlainObject(value)) return err("limits must be an object");
+    if (Object.keys(value).some((k) => k !== "expanded")) err('limits only supports "expanded"');
+    if (value.expanded === undefined) return {};
+    if (typeof value.expanded === "boolean") return { expanded: value.expanded };
+    err("limits.expanded must be true or false");
+  },
+  context(value, err) {
+    if (!isPlainObject(value)) return err("context must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "style") {
+        if (v === "percent" || v === "bar") out.style = v;
+        else err('context.style must be "percent" or "bar"');
+      } else if (key === "autoCompact") {
+        if (typeof v === "boolean") out.autoCompact = v;
+        else err("context.autoCompact must be true or false");
+      } else if (key === "compactBuffer") {
+        if (Number.isInteger(v) && v >= 0) out.compactBuffer = v;
+        else err("context.compactBuffer must be a non-negative integer (tokens)");
+      } else err(`context: unknown key "${key}"`);
+    }
+    return out;
+  },
+  todos(value, err) {
+    if (!isPlainObject(value)) return err("todos must be an object");
+    if (Object.keys(value).some((k) => k !== "detail")) err('todos only supports "detail"');
+    if (value.detail === undefined) return {};
+    if (typeof value.detail === "boolean") return { detail: value.detail };
+    err("todos.detail must be true or false");
+  },
+  alerts(value, err) {
+    if (!isPlainObject(value)) return err("alerts must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "channels" || key === "events") {
+        const allowed = key === "channels" ? ALERT_CHANNELS : ALERT_EVENTS;
+        if (!Array.isArray(v)) { err(`alerts.${key} must be an array`); continue; }
+        out[key] = v.filter((x, i) => allowed.includes(x) ? true : err(`alerts.${key}[${i}] must be one of ${allowed.join(", ")}`));
+      } else if (key === "command") {
+        if (typeof v === "string") out.command = v;
+        else err("alerts.command must be a string");
+      } else err(`alerts: unknown key "${key}"`);
+    }
+    if (out.channels?.includes("command") && !out.command && value.command === undefined) {
+      err('alerts.channels includes "command" but alerts.command is not set');
+    }
+    return out;
+  },
+  plugins(value, err) {
+    if (!isPlainObject(value)) return err("plugins must be an object keyed by plugin id");
+    const out = {};
+    for (const [id, options] of Object.entries(value)) {
+      if (!Object.hasOwn(SEGMENTS, id) || !("plugin" in SEGMENTS[id])) err(`plugins.${id}: no plugin with that id in ${displayPath(PLUGINS_DIR)}`);
+      else if (!isPlainObject(options)) err(`plugins.${id} must be an object`);
+      else out[id] = options;
+    }
+    return out;
+  },
+  version(value, err) {
+    if (!isPlainObject(value)) return err("version must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "check") {
+        if (typeof v === "boolean") out.check = v;
+        else err("version.check must be true or false");
+      } else if (key === "channel") {
+        if (["latest", "stable", "next"].includes(v)) out.channel = v;
+        else err("version.channel must be one of latest, stable, next");
+      } else if (key === "registry") {
+        const url = baseUrl(v);
+        if (url) out.registry = url;
+        else err("version.registry must be an http(s) URL");
+      } else err(`version: unknown key "${key}"`);
+    }
+    return out;
+  },
+  network(value, err) {
+    if (!isPlainObject(value)) return err("network must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "usageUrl" || key === "authUrl") {
+        const url = baseUrl(v);
+        if (url) out[key] = url;
+        else err(`network.${key} must be an http(s) URL`);
+      } else if (key === "proxy") {
+        if (v === false || v === "" || baseUrl(v)) out.proxy = v;
+        else err('network.proxy must be an http(s) URL, "" (use HTTPS_PROXY) or false');
+      } else err(`network: unknown key "${key}"`);
+    }
+    return out;
+  },
+  // Read by omc-hud.mjs; checked here so mistakes still show up under the bar.
+  omc(value, err) {
+    if (!isPlainObject(value)) return err("omc must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "path") {
+        if (typeof v === "string") out.path = v;
+        else err("omc.path must be a string");
+      } else if (key === "mode") {
+        if (["omc", "combined", "metricc"].includes(v)) out.mode = v;
+        else err("omc.mode must be one of omc, combined, metricc");
+      } else err(`omc: unknown key "${key}"`);
+    }
+    return out;
+  },
+  render(value, err) {
+    if (!isPlainObject(value)) return err("render must be an object");
+    if (Object.keys(value).some((k) => k !== "budgetMs")) err('render only supports "budgetMs"');
+    if (value.budgetMs === undefined) return {};
+    if (Number.isInteger(value.budgetMs) && value.budgetMs > 0) return { budgetMs: value.budgetMs };
+    err("render.budgetMs must be a positive integer");
+  },
+  theme(value, err) {
+    if (!isPlainObject(value)) return err("theme must be an object");
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === "name") {
+        if (Object.hasOwn(THEMES, v)) out.name = v;
+        else err(`theme.name must be one of ${Object.keys(THEMES).join(", ")}`);
+      } else if (key === "colorLevel") {
+        if (v === "auto" || Object.hasOwn(COLOR_LEVELS, v)) out.colorLevel = v;
+        else err(`theme.colorLevel must be one of auto, ${Object.keys(COLOR_LEVELS).join(", ")}`);
+      } else if (key === "palette") {
+        if (!isPlainObject(v)) { err("theme.palette must be an object"); continue; }
+        out.palette = {};
+        for (const [name, hex] of Object.entries(v)) {
+          if (!COLOR_NAMES.includes(name)) err(`theme.palette.${name}: unknown color (use ${COLOR_NAMES.join(", ")})`);
+          else if (hex === null || (typeof hex === "string" && /^#[0-9a-f]{6}$/i.test(hex))) out.palette[name] = hex;
+          else err(`theme.palette.${name} must be a "#rrggbb" string or null`);
+        }
+      } else if (key === "markers") {
+        if (["auto", "none", "glyph", "style"].includes(v)) out.markers = v;
+        else err("theme.markers must be one of auto, none, glyph, style");
+      } else if (key === "glyphs") {
+        if (isPlainObject(v) && Object.values(v).every((g) => typeof g === "string")) out.glyphs = v;
+        else err('theme.glyphs must be { "warn": "...", "crit": "..." }');
+      } else err(`theme: unknown key "${key}"`);
+    }
+    return out;
+  },
+};
+
+function validateConfig(raw, source, errors) {
+  const err = (msg) => { errors.push(`${source}: ${msg}`); };
+  if (!isPlainObject(raw)) { err("expected a JSON object"); return {}; }
+  const out = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const validate = CONFIG_VALIDATORS[key];
+    if (!validate) { err(`unknown key "${key}"`); continue; }
+    const clean = validate(value, err);
+    if (clean !== undefined) out[key] = clean;
+  }
+  return out;
+}
+
+function readConfigFile(path, errors) {
+  if (!existsSync(path)) return {};
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    errors.push(`${displayPath(path)}: ${err.message}`);
+    return {};
+  }
+  return validateConfig(raw, displayPath(path), errors);
+}
+
+// Settings the background refresher fetches with — it fills one set of caches
+// for every project — and the alert command, which a cloned repo must not be
+// able to run. These come from the user config only.
+const USER_ONLY_SETTINGS = ["version.check", "version.registry", "network", "alerts.command"];
+
+function dropUserOnlySettings(projectConfig, source, errors) {
+  for (const setting of USER_ONLY_SETTINGS) {
+    const [key, sub] = setting.split(".");
+    const parent = sub ? projectConfig[key] : projectConfig;
+    const name = sub ?? key;
+    if (!parent || !Object.hasOwn(parent, name)) continue;
+    errors.push(`${source}: ${setting} can only be set in ${displayPath(CONFIG_PATH)}`);
+    delete parent[name];
+  }
+  return projectConfig;
+}
+
+function loadConfig(projectDir) {
+  const errors = [];
+  let config = mergeConfig(DEFAULT_CONFIG, readConfigFile(CONFIG_PATH, errors));
+  if (projectDir) {
+    const projectPath = join(projectDir, ".claude", "hud", "config.json");
+    if (projectPath !== CONFIG_PATH) {
+      const project = dropUserOnlySettings(readConfigFile(projectPath, errors), displayPath(projectPath), errors);
+      config = mergeConfig(config, project);
+    }
+  }
+  // Plugins show up without being listed; listing one places it, "hide" removes it.
+  const unlisted = Object.keys(SEGMENTS).filter((id) => "plugin" in SEGMENTS[id] && !config.segments.includes(id));
+  if (unlisted.length) config = { ...config, segments: [...config.segments, ...unlisted] };
+  return { config, errors };
+}
 
 // ── Stdin Parser ───────────────────────────────────────────────────────────────
 async function readStdin() {
@@ -65,20 +577,51 @@ function getContextPercent(stdin) {
   if (typeof pct === "number" && !Number.isNaN(pct)) {
     return Math.min(100, Math.max(0, Math.round(pct)));
   }
+  const tokens = getContextTokens(stdin);
+  if (tokens == null) return 0;
+  return Math.min(100, Math.round((tokens / getContextWindowSize(stdin)) * 100));
+}
+
+// Older Claude Code versions leave out context_window_size; 1M-context variants
+// are then only recognisable by the "[1m]" suffix on the model id.
+function getContextWindowSize(stdin) {
   const size = stdin.context_window?.context_window_size;
-  if (!size || size <= 0) return 0;
+  if (typeof size === "number" && size > 0) return size;
+  return /\[1m\]/i.test(stdin.model?.id ?? "") ? CONTEXT_WINDOW_EXTENDED : CONTEXT_WINDOW_DEFAULT;
+}
+
+function getContextTokens(stdin) {
   const usage = stdin.context_window?.current_usage;
-  const total = (usage?.input_tokens ?? 0) + (usage?.cache_creation_input_tokens ?? 0) + (usage?.cache_read_input_tokens ?? 0);
-  return Math.min(100, Math.round((total / size) * 100));
+  if (!usage) return null;
+  return (usage.input_tokens ?? 0) + (usage.cache_creation_input_tokens ?? 0) + (usage.cache_read_input_tokens ?? 0);
+}
+
+// Tokens used and left before auto-compact. CLAUDE_AUTOCOMPACT_PCT_OVERRIDE
+// moves the trigger the same way it does for Claude Code itself.
+function getContextInfo(stdin, settings) {
+  const size = getContextWindowSize(stdin);
+  const pct = getContextPercent(stdin);
+  const used = getContextTokens(stdin) ?? Math.round((pct / 100) * size);
+  let compactAt = null;
+  if (settings.autoCompact) {
+    const override = Number(process.env.CLAUDE_AUTOCOMPACT_PCT_OVERRIDE);
+    compactAt = override > 0 && override <= 100
+      ? Math.round((size * override) / 100)
+      : Math.max(0, size - settings.compactBuffer);
+  }
+  return { pct, used, size, untilCompact: compactAt == null ? null : Math.max(0, compactAt - used) };
 }
 
 function getModelId(stdin) {
-  const id = stdin.model?.id ?? stdin.model?.display_name ?? "unknown";
-  // "claude-opus-4-6" → "Opus 4.6", "claude-sonnet-4-5-20250929" → "Sonnet 4.5"
+  return modelName(stdin.model?.id ?? stdin.model?.display_name ?? "unknown");
+}
+
+// "claude-opus-4-6" → "Opus 4.6", "claude-sonnet-4-5-20250929" → "Sonnet 4.5"
+function modelName(id) {
   const m = id.match(/(?:claude-)?(opus|sonnet|haiku)-(\d+)-(\d+)/);
   if (m) {
     const name = m[1].charAt(0).toUpperCase() + m[1].slice(1);
-    return `${name} ${m[2]}.${m[3]}`;
+    return `${name} ${m[2]}.${m[3]}${/\[1m\]/i.test(id) ? " 1M" : ""}`;
   }
   return id;
 }
@@ -87,15 +630,207 @@ function getVersion(stdin) {
   return stdin.version ?? null;
 }
 
+// ── Atomic Writes & Locks ──────────────────────────────────────────────────────
+// Several Claude Code sessions run this script at once. Shared files are written
+// to a temp file and renamed into place, so readers never see half a file, and
+// anything that must happen once (API refresh, token refresh) runs under a lock.
+function writeFileAtomic(path, data, mode) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const tmp = `${path}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  try {
+    writeFileSync(tmp, data, mode != null ? { mode } : undefined);
+    renameSync(tmp, path);
+  } catch (err) {
+    try { unlinkSync(tmp); } catch { /* never created */ }
+    throw err;
+  }
+}
+
+const heldLocks = new Map();
+
+// A lock is stale when it is older than `staleMs` or its owner on this machine
+// has exited.
+function isLockStale(lockPath, staleMs) {
+  let stat;
+  try { stat = statSync(lockPath); } catch { return true; }
+  if (Date.now() - stat.mtimeMs >= staleMs) return true;
+  try {
+    const owner = JSON.parse(readFileSync(lockPath, "utf-8"));
+    if (owner.host === hostname() && owner.pid !== process.pid) process.kill(owner.pid, 0);
+  } catch (err) {
+    return err.code === "ESRCH";
+  }
+  return false;
+}
+
+function acquireLock(lockPath, staleMs) {
+  const token = JSON.stringify({ pid: process.pid, host: hostname(), id: randomBytes(6).toString("hex") });
+  const create = () => {
+    try {
+      writeFileSync(lockPath, token, { flag: "wx" });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  try {
+    const dir = dirname(lockPath);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  } catch { return false; }
+  if (!create()) {
+    if (!isLockStale(lockPath, staleMs) || !breakStaleLock(lockPath, staleMs, token)) return false;
+    if (!create()) return false;
+  }
+  try {
+    if (readFileSync(lockPath, "utf-8") !== token) return false;
+  } catch { return false; }
+  heldLocks.set(lockPath, token);
+  return true;
+}
+
+// Removes a stale lock so the caller can take it. Only the process holding
+// `<lock>.break` may do that, and it checks staleness again first: a second
+// process that also judged the lock stale finds it broken and retaken, and
+// fresh, by the time it gets its turn.
+function breakStaleLock(lockPath, staleMs, token) {
+  const breaker = `${lockPath}.break`;
+  try {
+    writeFileSync(breaker, token, { flag: "wx" });
+  } catch {
+    // Left behind by a process that died mid-break; the next attempt gets it.
+    if (isLockStale(breaker, staleMs)) try { unlinkSync(breaker); } catch { /* */ }
+    return false;
+  }
+  try {
+    if (!isLockStale(lockPath, staleMs)) return false;
+    try { unlinkSync(lockPath); } catch { /* already gone */ }
+    return true;
+  } finally {
+    try { unlinkSync(breaker); } catch { /* */ }
+  }
+}
+
+function releaseLock(lockPath) {
+  const token = heldLocks.get(lockPath);
+  heldLocks.delete(lockPath);
+  try {
+    // Only remove the lock if it is still ours and wasn't broken as stale.
+    if (token && readFileSync(lockPath, "utf-8") === token) unlinkSync(lockPath);
+  } catch { /* already gone */ }
+}
+
+function isLocked(lockPath, staleMs) {
+  return existsSync(lockPath) && !isLockStale(lockPath, staleMs);
+}
+
+// Runs fn() while holding the lock, polling for up to `waitMs` to get it.
+// Resolves to null without calling fn() if the lock never frees up.
+async function withLock(lockPath, fn, { staleMs, waitMs = 0 }) {
+  const until = Date.now() + waitMs;
+  while (!acquireLock(lockPath, staleMs)) {
+    if (Date.now() >= until) return null;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  try {
+    return await fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+// ── Network ────────────────────────────────────────────────────────────────────
+// Every request the refresher makes goes through request(), which sends it
+// through a proxy when one is configured (network.proxy) or set in the usual
+// HTTPS_PROXY / HTTP_PROXY / NO_PROXY variables. https targets are tunnelled
+// with CONNECT; plain http ones are sent to the proxy with the full URL.
+function noProxy(url) {
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+  const host = url.hostname.toLowerCase();
+  return (process.env.NO_PROXY ?? process.env.no_proxy ?? "").split(",").some((entry) => {
+    const [name, entryPort] = entry.trim().toLowerCase().split(":");
+    if (!name) return false;
+    if (name === "*") return true;
+    if (entryPort && entryPort !== port) return false;
+    const domain = name.replace(/^\*?\./, "");
+    return host === domain || host.endsWith("." + domain);
+  });
+}
+
+function proxyFor(url, network) {
+  if (network.proxy === false || noProxy(url)) return null;
+  const env = process.env;
+  const raw = network.proxy || (url.protocol === "https:"
+    ? env.HTTPS_PROXY ?? env.https_proxy
+    : env.HTTP_PROXY ?? env.http_proxy);
+  const proxy = raw && baseUrl(raw);
+  return proxy ? new URL(proxy) : null;
+}
+
+function proxyHeaders(proxy) {
+  if (!proxy.username) return {};
+  const auth = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { "Proxy-Authorization": `Basic ${Buffer.from(auth).toString("base64")}` };
+}
+
+// A createConnection() for https.request that opens the TLS connection inside a
+// CONNECT tunnel. Failures surface as the request's "error" event.
+function tunnel(proxy, url, timeout) {
+  return (_opts, done) => {
+    const target = `${url.hostname}:${url.port || 443}`;
+    const req = (proxy.protocol === "https:" ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT",
+      path: target,
+      headers: { Host: target, ...proxyHeaders(proxy) },
+      timeout,
+    });
+    req.on("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        done(Object.assign(new Error(`proxy refused CONNECT (${res.statusCode})`), { code: "EPROXY" }));
+        return;
+      }
+      const host = url.hostname.replace(/^\[|\]$/g, "");
+      done(null, tls.connect({ socket, servername: isIP(host) ? undefined : host }));
+    });
+    req.on("error", (err) => done(err));
+    req.on("timeout", () => req.destroy(Object.assign(new Error("proxy timed out"), { code: "ETIMEDOUT" })));
+    req.end();
+  };
+}
+
+// http(s).request for a URL, through the proxy if there is one.
+function request(url, options, onResponse, network = DEFAULT_CONFIG.network) {
+  const proxy = proxyFor(url, network);
+  if (proxy && url.protocol === "http:") {
+    return http.request({
+      ...options,
+      host: proxy.hostname,
+      port: proxy.port || 80,
+      path: url.href,
+      headers: { ...options.headers, Host: url.host, ...proxyHeaders(proxy) },
+    }, onResponse);
+  }
+  const opts = proxy ? { ...options, createConnection: tunnel(proxy, url, options.timeout) } : options;
+  return (url.protocol === "http:" ? http : https).request(url, opts, onResponse);
+}
+
 // ── Usage API (Anthropic OAuth) ────────────────────────────────────────────────
 function readCache() {
   try {
     if (!existsSync(CACHE_PATH)) return null;
     const cache = JSON.parse(readFileSync(CACHE_PATH, "utf-8"));
+    // Caches written before failures were classified just say `error: true`
+    if (cache?.error === true) cache.error = usageError("unknown");
     // Reconstitute Date objects lost during JSON serialization
     if (cache?.data) {
       if (cache.data.fiveHourResets) cache.data.fiveHourResets = new Date(cache.data.fiveHourResets);
       if (cache.data.sevenDayResets) cache.data.sevenDayResets = new Date(cache.data.sevenDayResets);
+      if (cache.data.fiveHourLimitAt) cache.data.fiveHourLimitAt = new Date(cache.data.fiveHourLimitAt);
+      if (cache.data.sevenDayLimitAt) cache.data.sevenDayLimitAt = new Date(cache.data.sevenDayLimitAt);
+      for (const w of cache.data.windows ?? []) if (w.resetsAt) w.resetsAt = new Date(w.resetsAt);
     }
     return cache;
   } catch {
@@ -103,17 +838,52 @@ function readCache() {
   }
 }
 
-function writeCache(data, error = false) {
+// `timestamp` is the last attempt; `fetchedAt` is when `data` was fetched, which
+// is older when the latest attempt failed and the last good values were kept.
+function writeCache({ data, error = false, failures = 0, retryAt = null, history = [], fetchedAt = Date.now() }) {
   try {
-    const dir = dirname(CACHE_PATH);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(CACHE_PATH, JSON.stringify({ timestamp: Date.now(), data, error }));
+    writeFileAtomic(CACHE_PATH, JSON.stringify({ timestamp: Date.now(), fetchedAt, data, error, failures, retryAt, history }));
   } catch { /* ignore */ }
 }
 
 function isCacheValid(cache) {
-  const ttl = cache.error ? CACHE_TTL_FAILURE_MS : CACHE_TTL_MS;
-  return Date.now() - cache.timestamp < ttl;
+  if (!cache.error) return Date.now() - cache.timestamp < CACHE_TTL_MS;
+  // Logging in again shouldn't have to wait out an auth backoff.
+  if (cache.error.label === "auth") {
+    try { if (statSync(CRED_PATH).mtimeMs > cache.timestamp) return false; } catch { /* */ }
+  }
+  return Date.now() < (cache.retryAt ?? cache.timestamp + CACHE_TTL_FAILURE_MS);
+}
+
+// Failures are classified so the bar can say why there's no fresh data.
+// `label` is the short reason shown in the rate-limit segments.
+function usageError(kind, extra = {}) {
+  const labels = {
+    noCredentials: "auth", expired: "auth", refreshFailed: "auth", unauthorized: "auth",
+    rateLimited: "429", network: "offline", timeout: "timeout", badResponse: "err",
+  };
+  return { kind, label: labels[kind] ?? String(extra.status ?? "err"), ...extra };
+}
+
+function httpError(res, authKind) {
+  const status = res.statusCode;
+  if (status === 401 || status === 403) return usageError(authKind, { status });
+  if (status === 429) return usageError("rateLimited", { status, retryAfterMs: parseRetryAfter(res.headers["retry-after"]) });
+  if (status >= 400 && status < 500 && authKind === "refreshFailed") return usageError("refreshFailed", { status });
+  return usageError("http", { status });
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return Number(value) * 1000;
+  const t = Date.parse(value);
+  return isNaN(t) ? 0 : Math.max(0, t - Date.now());
+}
+
+function requestErrorHandlers(req, resolve) {
+  req.on("error", (err) => resolve({ error: usageError("network", { code: err.code }) }));
+  req.on("timeout", () => { resolve({ error: usageError("timeout") }); req.destroy(); });
 }
 
 function getCredentials() {
@@ -128,16 +898,14 @@ function getCredentials() {
   }
 }
 
-function refreshAccessToken(refreshToken) {
+function refreshAccessToken(refreshToken, network) {
   return new Promise((resolve) => {
     const body = new URLSearchParams({
       grant_type: "refresh_token",
       refresh_token: refreshToken,
       client_id: OAUTH_CLIENT_ID,
     }).toString();
-    const req = https.request({
-      hostname: "platform.claude.com",
-      path: "/v1/oauth/token",
+    const req = request(new URL("v1/oauth/token", network.authUrl), {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded", "Content-Length": Buffer.byteLength(body) },
       timeout: API_TIMEOUT_MS,
@@ -145,29 +913,25 @@ function refreshAccessToken(refreshToken) {
       let data = "";
       res.on("data", (ch) => { data += ch; });
       res.on("end", () => {
-        if (res.statusCode === 200) {
-          try {
-            const p = JSON.parse(data);
-            if (p.access_token) {
-              resolve({ accessToken: p.access_token, refreshToken: p.refresh_token || refreshToken, expiresAt: p.expires_in ? Date.now() + p.expires_in * 1000 : p.expires_at });
-              return;
-            }
-          } catch { /* */ }
-        }
-        resolve(null);
+        if (res.statusCode !== 200) { resolve({ error: httpError(res, "refreshFailed") }); return; }
+        try {
+          const p = JSON.parse(data);
+          if (p.access_token) {
+            resolve({ creds: { accessToken: p.access_token, refreshToken: p.refresh_token || refreshToken, expiresAt: p.expires_in ? Date.now() + p.expires_in * 1000 : p.expires_at } });
+            return;
+          }
+        } catch { /* */ }
+        resolve({ error: usageError("refreshFailed", { status: 200 }) });
       });
-    });
-    req.on("error", () => resolve(null));
-    req.on("timeout", () => { req.destroy(); resolve(null); });
+    }, network);
+    requestErrorHandlers(req, resolve);
     req.end(body);
   });
 }
 
-function fetchUsage(accessToken) {
+function fetchUsage(accessToken, network) {
   return new Promise((resolve) => {
-    const req = https.request({
-      hostname: "api.anthropic.com",
-      path: "/api/oauth/usage",
+    const req = request(new URL("api/oauth/usage", network.usageUrl), {
       method: "GET",
       headers: { Authorization: `Bearer ${accessToken}`, "anthropic-beta": "oauth-2025-04-20", "Content-Type": "application/json" },
       timeout: API_TIMEOUT_MS,
@@ -175,13 +939,11 @@ function fetchUsage(accessToken) {
       let data = "";
       res.on("data", (ch) => { data += ch; });
       res.on("end", () => {
-        if (res.statusCode === 200) {
-          try { resolve(JSON.parse(data)); } catch { resolve(null); }
-        } else resolve(null);
+        if (res.statusCode !== 200) { resolve({ error: httpError(res, "unauthorized") }); return; }
+        try { resolve({ data: JSON.parse(data) }); } catch { resolve({ error: usageError("badResponse") }); }
       });
-    });
-    req.on("error", () => resolve(null));
-    req.on("timeout", () => { req.destroy(); resolve(null); });
+    }, network);
+    requestErrorHandlers(req, resolve);
     req.end();
   });
 }
@@ -189,262 +951,1493 @@ function fetchUsage(accessToken) {
 function writeBackCredentials(creds) {
   try {
     if (!existsSync(CRED_PATH)) return;
-    const parsed = JSON.parse(readFileSync(CRED_PATH, "utf-8"));
+    // Write through a symlinked credentials file rather than replacing the link.
+    const realPath = realpathSync(CRED_PATH);
+    const parsed = JSON.parse(readFileSync(realPath, "utf-8"));
     const target = parsed.claudeAiOauth || parsed;
     target.accessToken = creds.accessToken;
     if (creds.expiresAt != null) target.expiresAt = creds.expiresAt;
     if (creds.refreshToken) target.refreshToken = creds.refreshToken;
-    writeFileSync(CRED_PATH, JSON.stringify(parsed, null, 2));
+    writeFileAtomic(realPath, JSON.stringify(parsed, null, 2), statSync(realPath).mode & 0o777);
   } catch { /* */ }
 }
 
-async function getUsage() {
+const isExpired = (creds) => Boolean(creds.expiresAt && creds.expiresAt <= Date.now());
+
+// A refresh token is single-use, so refreshing happens under a lock and starts
+// by re-reading the credentials: whoever held the lock before us (another HUD,
+// or Claude Code itself) may already have refreshed them. Resolves to
+// { creds } or { error }, or null if another process kept the lock too long.
+function refreshCredentials(network) {
+  return withLock(CRED_LOCK_PATH, async () => {
+    const current = getCredentials();
+    if (!current) return { error: usageError("noCredentials") };
+    if (!isExpired(current)) return { creds: current };
+    if (!current.refreshToken) return { error: usageError("expired") };
+    const refreshed = await refreshAccessToken(current.refreshToken, network);
+    if (refreshed.error) return refreshed;
+    const creds = { ...current, ...refreshed.creds };
+    writeBackCredentials(creds);
+    return { creds };
+  }, { staleMs: CRED_LOCK_STALE_MS, waitMs: CRED_LOCK_WAIT_MS });
+}
+
+// Render path: never touches the network. Returns whatever is cached, with its
+// age, and asks the background refresher to update it once it has expired.
+function getUsage() {
   const cache = readCache();
-  if (cache && isCacheValid(cache)) return cache.data;
+  if (!cache || !isCacheValid(cache)) scheduleRefresh();
+  if (!cache?.data && !cache?.error) return null;
+  return { ...cache.data, ageMs: Date.now() - (cache.fetchedAt ?? cache.timestamp), error: cache.error || null };
+}
+
+async function refreshUsage(network) {
+  const cache = readCache();
+  if (cache && isCacheValid(cache)) return;
+  const history = cache?.history ?? [];
+  // Failures keep the last good values so the bar can show them as stale, and
+  // back off exponentially across invocations (longer if the API says so).
+  const fail = (error) => {
+    const failures = (cache?.error ? cache.failures ?? 1 : 0) + 1;
+    const backoff = Math.min(BACKOFF_MAX_MS, CACHE_TTL_FAILURE_MS * 2 ** (failures - 1));
+    writeCache({
+      data: cache?.data ?? null,
+      error,
+      failures,
+      retryAt: Date.now() + Math.max(backoff, error.retryAfterMs ?? 0),
+      history,
+      fetchedAt: cache?.fetchedAt ?? cache?.timestamp,
+    });
+  };
 
   let creds = getCredentials();
-  if (!creds) { writeCache(null, true); return null; }
+  if (!creds) { fail(usageError("noCredentials")); return; }
 
   // Refresh if expired
-  if (creds.expiresAt && creds.expiresAt <= Date.now()) {
-    if (creds.refreshToken) {
-      const refreshed = await refreshAccessToken(creds.refreshToken);
-      if (refreshed) {
-        creds = { ...creds, ...refreshed };
-        writeBackCredentials(creds);
-      } else {
-        writeCache(null, true);
-        return null;
-      }
-    } else {
-      writeCache(null, true);
-      return null;
-    }
+  if (isExpired(creds)) {
+    if (!creds.refreshToken) { fail(usageError("expired")); return; }
+    const refreshed = await refreshCredentials(network);
+    if (!refreshed) return; // another process is mid-refresh; try again next time
+    if (refreshed.error) { fail(refreshed.error); return; }
+    creds = refreshed.creds;
   }
 
-  const resp = await fetchUsage(creds.accessToken);
-  if (!resp) { writeCache(null, true); return null; }
-
-  const clamp = (v) => (v == null || !isFinite(v)) ? 0 : Math.max(0, Math.min(100, v));
-  const parseDate = (s) => { try { const d = new Date(s); return isNaN(d.getTime()) ? null : d; } catch { return null; } };
+  const { data: resp, error } = await fetchUsage(creds.accessToken, network);
+  if (error) { fail(error); return; }
+  writeCache(usageFromResponse(resp, history));
+}
 
+// The cached form of a usage response, with this sample added to the history
+// and the limit forecast worked out from it.
+function usageFromResponse(resp, history) {
   const data = {
-    fiveHour: clamp(resp.five_hour?.utilization),
+    fiveHour: clampPercent(resp.five_hour?.utilization),
     fiveHourResets: parseDate(resp.five_hour?.resets_at),
-    sevenDay: clamp(resp.seven_day?.utilization),
+    sevenDay: clampPercent(resp.seven_day?.utilization),
     sevenDayResets: parseDate(resp.seven_day?.resets_at),
+    windows: parseUsageWindows(resp),
+    extraUsage: parseExtraUsage(resp.extra_usage),
+  };
+  const updated = appendUsageSample(history, data);
+  Object.assign(data, forecastLimits(updated, data));
+  return { data, history: updated };
+}
+
+const clampPercent = (v) => (v == null || !isFinite(v)) ? 0 : Math.max(0, Math.min(100, v));
+const parseDate = (s) => { if (!s) return null; try { const d = new Date(s); return isNaN(d.getTime()) ? null : d; } catch { return null; } };
+
+// Every object in the response with a numeric `utilization` and a `resets_at`
+// field is a limit window ("five_hour", "seven_day", "seven_day_opus", ...), so
+// buckets added to the endpoint later show up without code changes. Anything
+// else (extra_usage is parsed on its own) is ignored.
+function parseUsageWindows(resp) {
+  const windows = [];
+  for (const [id, w] of Object.entries(resp ?? {})) {
+    if (!isPlainObject(w) || typeof w.utilization !== "number" || !("resets_at" in w)) continue;
+    windows.push({ id, label: windowLabel(id), utilization: clampPercent(w.utilization), resetsAt: parseDate(w.resets_at) });
+  }
+  return windows;
+}
+
+// "five_hour" → "5h", "seven_day_opus" → "7d Opus", "seven_day_oauth_apps" → "7d Oauth Apps"
+function windowLabel(id) {
+  const words = id.replace(/^five_hour/, "5h").replace(/^seven_day/, "7d").split("_").filter(Boolean);
+  return words.map((w) => /^\d/.test(w) ? w : w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+}
+
+function parseExtraUsage(extra) {
+  if (!isPlainObject(extra)) return null;
+  return {
+    enabled: extra.is_enabled === true,
+    utilization: typeof extra.utilization === "number" ? clampPercent(extra.utilization) : null,
+    usedCredits: typeof extra.used_credits === "number" ? extra.used_credits : null,
+    monthlyLimit: typeof extra.monthly_limit === "number" ? extra.monthly_limit : null,
+  };
+}
+
+// The per-model weekly bucket for the active model, e.g. "seven_day_opus" for Opus 4.6.
+function modelWindow(usage, modelId) {
+  const family = modelId.split(" ")[0].toLowerCase();
+  if (!/^(opus|sonnet|haiku)$/.test(family)) return null;
+  return usage?.windows?.find((w) => w.id.split("_").includes(family)) ?? null;
+}
+
+// ── Burn Rate ──────────────────────────────────────────────────────────────────
+// Every successful fetch appends a sample to the usage cache. Samples from the
+// last hour are kept as-is, older ones thinned out, so a day of history stays small.
+function appendUsageSample(history, data) {
+  const now = Date.now();
+  const kept = [];
+  let lastKept = -Infinity;
+  for (const sample of history) {
+    if (now - sample.t > USAGE_HISTORY_MAX_MS) continue;
+    const spacing = now - sample.t > 3_600_000 ? USAGE_HISTORY_THIN_MS : 0;
+    if (sample.t - lastKept < spacing) continue;
+    kept.push(sample);
+    lastKept = sample.t;
+  }
+  kept.push({
+    t: now,
+    fiveHour: data.fiveHour,
+    fiveHourResets: data.fiveHourResets?.getTime() ?? null,
+    sevenDay: data.sevenDay,
+    sevenDayResets: data.sevenDayResets?.getTime() ?? null,
+  });
+  return kept;
+}
+
+// Least-squares slope (percent per ms) over the recent samples of one window,
+// ignoring anything before that window last reset.
+function burnRate(history, key, lookbackMs, minSpanMs) {
+  const now = Date.now();
+  const points = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const s = history[i];
+    if (now - s.t > lookbackMs) break;
+    const newer = points[0];
+    if (newer) {
+      const resetMoved = s[`${key}Resets`] && newer.resets && Math.abs(s[`${key}Resets`] - newer.resets) > 600_000;
+      if (s[key] > newer.value + 1 || resetMoved) break;
+    }
+    points.unshift({ t: s.t, value: s[key], resets: s[`${key}Resets`] });
+  }
+  if (points.length < 3 || points[points.length - 1].t - points[0].t < minSpanMs) return null;
+  const meanT = points.reduce((sum, p) => sum + p.t, 0) / points.length;
+  const meanV = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+  let num = 0, den = 0;
+  for (const p of points) {
+    num += (p.t - meanT) * (p.value - meanV);
+    den += (p.t - meanT) ** 2;
+  }
+  return den > 0 ? num / den : null;
+}
+
+// When the current pace reaches 100%, or null if the window resets first.
+function projectLimit(current, rate, resets) {
+  if (!rate || rate <= 0 || current >= 100) return null;
+  const at = new Date(Date.now() + (100 - current) / rate);
+  return resets && at >= resets ? null : at;
+}
+
+function forecastLimits(history, data) {
+  return {
+    fiveHourLimitAt: projectLimit(data.fiveHour, burnRate(history, "fiveHour", 30 * 60_000, 5 * 60_000), data.fiveHourResets),
+    sevenDayLimitAt: projectLimit(data.sevenDay, burnRate(history, "sevenDay", 6 * 3_600_000, 30 * 60_000), data.sevenDayResets),
   };
-  writeCache(data);
-  return data;
 }
 
 // ── Version Check (npm registry) ─────────────────────────────────────────────
+// The cache holds the package's dist-tags and every published version, so
+// switching channels needs no refetch and "N behind" can be counted locally.
+const SEMVER_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+// Semver precedence: negative if a < b, positive if a > b, 0 if equal. The
+// numeric core decides first; then a release outranks its prereleases, and
+// prereleases compare dot-separated identifiers, numbers as numbers (and below
+// any text), text in ASCII order, a longer list winning a tie. Kept identical
+// in custom-hud.mjs and omc-hud.mjs.
+function semverCompare(a, b) {
+  const ma = SEMVER_RE.exec(a);
+  const mb = SEMVER_RE.exec(b);
+  if (!ma || !mb) return ma ? 1 : mb ? -1 : 0;
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(ma[i]) - Number(mb[i]);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  if (!ma[4] || !mb[4]) return ma[4] ? -1 : mb[4] ? 1 : 0;
+  const pa = ma[4].split(".");
+  const pb = mb[4].split(".");
+  for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+    if (pa[i] === pb[i]) continue;
+    const na = /^\d+$/.test(pa[i]);
+    const nb = /^\d+$/.test(pb[i]);
+    if (na && nb) return Math.sign(Number(pa[i]) - Number(pb[i]));
+    if (na || nb) return na ? -1 : 1;
+    return pa[i] < pb[i] ? -1 : 1;
+  }
+  return Math.sign(pa.length - pb.length);
+}
+
 function readVersionCache() {
   try {
     if (!existsSync(VERSION_CACHE_PATH)) return null;
     const cache = JSON.parse(readFileSync(VERSION_CACHE_PATH, "utf-8"));
-    if (Date.now() - cache.timestamp < VERSION_CACHE_TTL_MS) return cache.data;
-    return null;
+    // Caches from before the version list held just the latest version string.
+    return isPlainObject(cache.data) || cache.data === null ? cache : null;
   } catch {
     return null;
   }
 }
 
-function writeVersionCache(data) {
+function isVersionCacheValid(cache, settings) {
+  return Date.now() - cache.timestamp < VERSION_CACHE_TTL_MS && cache.registry === settings.registry;
+}
+
+function writeVersionCache(data, registry) {
   try {
-    const dir = dirname(VERSION_CACHE_PATH);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(VERSION_CACHE_PATH, JSON.stringify({ timestamp: Date.now(), data }));
+    writeFileAtomic(VERSION_CACHE_PATH, JSON.stringify({ timestamp: Date.now(), registry, data }));
   } catch { /* ignore */ }
 }
 
-function fetchLatestVersion() {
+// The abbreviated ("corgi") packument: dist-tags plus versions, without READMEs.
+function fetchVersions(registry, network) {
   return new Promise((resolve) => {
-    const req = https.request({
-      hostname: "registry.npmjs.org",
-      path: "/@anthropic-ai/claude-code/latest",
+    let url;
+    try { url = new URL(CLAUDE_CODE_PACKAGE.replace("/", "%2f"), registry); } catch { resolve(null); return; }
+    const req = request(url, {
       method: "GET",
-      headers: { Accept: "application/json" },
-      timeout: 3000,
+      headers: { Accept: "application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8" },
+      timeout: API_TIMEOUT_MS,
     }, (res) => {
       let data = "";
       res.on("data", (ch) => { data += ch; });
       res.on("end", () => {
-        if (res.statusCode === 200) {
-          try { resolve(JSON.parse(data).version || null); } catch { resolve(null); }
-        } else resolve(null);
+        if (res.statusCode !== 200) return resolve(null);
+        try {
+          const doc = JSON.parse(data);
+          const versions = Object.keys(doc.versions ?? {}).filter((v) => SEMVER_RE.test(v)).sort(semverCompare);
+          resolve({ tags: doc["dist-tags"] ?? {}, versions });
+        } catch { resolve(null); }
       });
-    });
+    }, network);
     req.on("error", () => resolve(null));
     req.on("timeout", () => { req.destroy(); resolve(null); });
     req.end();
   });
 }
 
-async function getLatestVersion() {
-  const cached = readVersionCache();
-  if (cached) return cached;
-  const latest = await fetchLatestVersion();
-  if (latest) writeVersionCache(latest);
-  return latest;
+// Same stale-while-revalidate split as getUsage()/refreshUsage().
+function getVersionInfo(settings) {
+  if (!settings.check) return null;
+  const cache = readVersionCache();
+  if (!cache || !isVersionCacheValid(cache, settings)) scheduleRefresh();
+  return cache?.registry === settings.registry ? cache.data : null;
 }
 
-// ── Transcript Parser ──────────────────────────────────────────────────────────
-function readTailLines(filePath, fileSize, maxBytes) {
-  const start = Math.max(0, fileSize - maxBytes);
-  const len = fileSize - start;
-  const fd = openSync(filePath, "r");
-  const buf = Buffer.alloc(len);
-  try { readSync(fd, buf, 0, len, start); } finally { closeSync(fd); }
-  const lines = buf.toString("utf8").split("\n");
-  if (start > 0 && lines.length > 0) lines.shift(); // discard partial first line
-  return lines;
+async function refreshLatestVersion(settings, network) {
+  if (!settings.check) return;
+  const cache = readVersionCache();
+  if (cache && isVersionCacheValid(cache, settings)) return;
+  const data = await fetchVersions(settings.registry, network);
+  const keep = cache?.registry === settings.registry ? cache.data : null;
+  // Failures still bump the timestamp so a dead registry isn't retried every tick.
+  writeVersionCache(data ?? keep, settings.registry);
 }
 
-async function parseTranscript(transcriptPath) {
-  const result = { sessionStart: null, agents: [], todos: [] };
-  if (!transcriptPath || !existsSync(transcriptPath)) return result;
-
-  const agentMap = new Map();
-  const bgMap = new Map();
-  let latestTodos = [];
-
-  function processLine(line) {
-    if (!line.trim()) return;
-    let entry;
-    try { entry = JSON.parse(line); } catch { return; }
-    const ts = entry.timestamp ? new Date(entry.timestamp) : new Date();
-    if (!result.sessionStart && entry.timestamp) result.sessionStart = ts;
-
-    const content = entry.message?.content;
-    if (!content || !Array.isArray(content)) return;
-
-    for (const block of content) {
-      if (block.type === "tool_use" && block.id && block.name) {
-        if (block.name === "Task" || block.name === "proxy_Task") {
-          const input = block.input;
-          if (agentMap.size >= MAX_AGENT_MAP) {
-            // Evict oldest completed
-            let oldest = null, oldestT = Infinity;
-            for (const [id, a] of agentMap) {
-              if (a.status === "completed" && a.startTime.getTime() < oldestT) {
-                oldestT = a.startTime.getTime();
-                oldest = id;
-              }
-            }
-            if (oldest) agentMap.delete(oldest);
-          }
-          agentMap.set(block.id, {
-            id: block.id,
-            type: input?.subagent_type ?? "unknown",
-            model: input?.model,
-            description: input?.description ?? "",
-            status: "running",
-            startTime: ts,
-          });
-        }
-        if (block.name === "TaskCreate" || block.name === "TodoWrite") {
-          const input = block.input;
-          if (input?.todos && Array.isArray(input.todos)) {
-            latestTodos = input.todos.map((t) => ({ content: t.content, status: t.status }));
-          }
-        }
-      }
+// Where the running version stands against the chosen channel. "behind" counts
+// releases in between — prereleases only count on the next channel.
+function versionStatus(current, info, channel) {
+  const target = info?.tags?.[channel];
+  if (!target) return null;
+  if (!current || !SEMVER_RE.test(current)) return { latest: target, status: null };
+  const cmp = semverCompare(current, target);
+  if (cmp > 0) return { latest: target, status: "ahead" };
+  if (cmp === 0) return { latest: target, status: "latest" };
+  const behind = info.versions.filter((v) =>
+    semverCompare(v, current) > 0 && semverCompare(v, target) <= 0 && (channel === "next" || !v.includes("-"))).length;
+  return { latest: target, status: "behind", behind: Math.max(1, behind) };
+}
 
-      if (block.type === "tool_result" && block.tool_use_id) {
-        const agent = agentMap.get(block.tool_use_id);
-        if (agent) {
-          const text = typeof block.content === "string" ? block.content : (Array.isArray(block.content) ? block.content.map(c => c.text || "").join("") : "");
-          if (text.includes("Async agent launched")) {
-            const m = text.match(/agentId:\s*([a-zA-Z0-9]+)/);
-            if (m) bgMap.set(m[1], block.tool_use_id);
-          } else {
-            agent.status = "completed";
-            agent.endTime = ts;
-          }
-        }
-        // Check TaskOutput completion
-        if (block.content) {
-          const text = typeof block.content === "string" ? block.content : (Array.isArray(block.content) ? block.content.map(c => c.text || "").join("") : "");
-          const tidM = text.match(/<task_id>([^<]+)<\/task_id>/);
-          const stM = text.match(/<status>([^<]+)<\/status>/);
-          if (tidM && stM && stM[1] === "completed") {
-            const origId = bgMap.get(tidM[1]);
-            if (origId) {
-              const bg = agentMap.get(origId);
-              if (bg && bg.status === "running") { bg.status = "completed"; bg.endTime = ts; }
-            }
-          }
-        }
-      }
-    }
-  }
+// ── Background Refresh ─────────────────────────────────────────────────────────
+// Network fetches run in a detached `--refresh` child so the statusline never
+// waits on them. The refresh lock keeps it to one refresher across all sessions,
+// and each refresher re-checks the caches once it holds the lock.
+let refreshScheduled = false;
 
+function scheduleRefresh() {
+  if (refreshScheduled || isLocked(REFRESH_LOCK_PATH, REFRESH_LOCK_STALE_MS)) return;
+  refreshScheduled = true;
   try {
-    const stat = statSync(transcriptPath);
-    if (stat.size > MAX_TAIL_BYTES) {
-      // For session start, read just the first line
-      const fd = openSync(transcriptPath, "r");
-      const firstBuf = Buffer.alloc(Math.min(4096, stat.size));
-      try { readSync(fd, firstBuf, 0, firstBuf.length, 0); } finally { closeSync(fd); }
-      const firstLine = firstBuf.toString("utf8").split("\n")[0];
-      if (firstLine.trim()) {
-        try {
-          const e = JSON.parse(firstLine);
-          if (e.timestamp) result.sessionStart = new Date(e.timestamp);
-        } catch { /* */ }
-      }
-      // Then tail-read for agents
-      for (const line of readTailLines(transcriptPath, stat.size, MAX_TAIL_BYTES)) processLine(line);
-    } else {
-      const stream = createReadStream(transcriptPath);
-      const rl = createInterface({ input: stream, crlfDelay: Infinity });
-      for await (const line of rl) processLine(line);
-    }
-  } catch { /* partial results */ }
+    spawn(process.execPath, [fileURLToPath(import.meta.url), "--refresh"], {
+      detached: true,
+      stdio: "ignore",
+      windowsHide: true,
+    }).unref();
+  } catch { /* next refresh will try again */ }
+}
 
-  // Mark stale agents
-  const now = Date.now();
-  for (const a of agentMap.values()) {
-    if (a.status === "running" && now - a.startTime.getTime() > STALE_AGENT_MS) {
-      a.status = "completed";
-    }
+async function runRefresh() {
+  if (!acquireLock(REFRESH_LOCK_PATH, REFRESH_LOCK_STALE_MS)) return;
+  try {
+    // Project configs can't change what is fetched (see USER_ONLY_SETTINGS).
+    const { config } = loadConfig(null);
+    await Promise.all([refreshUsage(config.network), refreshLatestVersion(config.version, config.network)]);
+  } finally {
+    releaseLock(REFRESH_LOCK_PATH);
   }
-
-  const running = [...agentMap.values()].filter((a) => a.status === "running");
-  const completed = [...agentMap.values()].filter((a) => a.status === "completed");
-  result.agents = [...running, ...completed.slice(-(10 - running.length))].slice(0, 10);
-  result.todos = latestTodos;
-  return result;
 }
 
-// ── Rendering ──────────────────────────────────────────────────────────────────
-function formatDuration(ms) {
-  if (ms < 0) ms = 0;
-  const totalSec = Math.floor(ms / 1000);
-  const h = Math.floor(totalSec / 3600);
-  const m = Math.floor((totalSec % 3600) / 60);
-  const s = totalSec % 60;
-  if (h > 0) return `${h}h${m.toString().padStart(2, "0")}m`;
-  if (m > 0) return `${m}m${s.toString().padStart(2, "0")}s`;
-  return `${s}s`;
+// ── Transcript Parser ──────────────────────────────────────────────────────────
+// Parser state is persisted per transcript so each refresh only reads the bytes
+// appended since the last one. The cache is thrown away when the file shrinks,
+// is replaced (new inode or different leading bytes) or the state format changes.
+let keepParserState = true; // off for --preview, which parses from scratch and leaves the cache alone
+
+function transcriptCachePath(transcriptPath) {
+  const key = createHash("sha1").update(transcriptPath).digest("hex").slice(0, 16);
+  return join(TRANSCRIPT_CACHE_DIR, `${key}.json`);
 }
 
-function colorForPercent(pct, warnAt = 70, critAt = 85) {
-  if (pct >= critAt) return c.red;
-  if (pct >= warnAt) return c.yellow;
-  return c.green;
+function fileHead(fd, size) {
+  const buf = Buffer.alloc(Math.min(HEAD_FINGERPRINT_BYTES, size));
+  readSync(fd, buf, 0, buf.length, 0);
+  return createHash("sha1").update(buf).digest("hex");
 }
 
-function contextBar(pct) {
-  const filled = Math.round(pct / 10);
-  const empty = 10 - filled;
-  const color = colorForPercent(pct);
-  return `${color}[${"█".repeat(filled)}${"░".repeat(empty)}]${pct}%${c.reset}`;
+function newParserState() {
+  return {
+    sessionStart: null, activeStart: null, lastEntryAt: null, lastUserAt: null,
+    agents: new Map(), bgAgents: new Map(), todos: [], taskSeq: 0, usage: {}, lastUsage: null,
+    compactions: 0, awaitingSummary: false, firstPrompt: null, toolCalls: 0, lastTool: null,
+    pendingTools: {}, toolErrors: {}, cwd: null,
+  };
 }
 
-function formatResetTime(resetDate) {
-  if (!resetDate) return "";
+function readParserState(transcriptPath) {
+  if (!keepParserState) return null;
+  try {
+    const raw = JSON.parse(readFileSync(transcriptCachePath(transcriptPath), "utf-8"));
+    if (raw.version !== PARSER_STATE_VERSION || raw.path !== transcriptPath) return null;
+    return {
+      ...raw,
+      agents: new Map(raw.agents.map((a) => [a.id, a])),
+      bgAgents: new Map(Object.entries(raw.bgAgents)),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function writeParserState(transcriptPath, state) {
+  if (!keepParserState) return;
+  try {
+    writeFileAtomic(transcriptCachePath(transcriptPath), JSON.stringify({
+      ...state,
+      version: PARSER_STATE_VERSION,
+      path: transcriptPath,
+      agents: [...state.agents.values()],
+      bgAgents: Object.fromEntries(state.bgAgents),
+    }));
+  } catch { /* ignore */ }
+}
+
+// Drop caches for transcripts nobody has looked at in a while.
+function pruneParserStates() {
+  try {
+    const cutoff = Date.now() - TRANSCRIPT_CACHE_MAX_AGE_MS;
+    for (const name of readdirSync(TRANSCRIPT_CACHE_DIR)) {
+      const p = join(TRANSCRIPT_CACHE_DIR, name);
+      if (statSync(p).mtimeMs < cutoff) unlinkSync(p);
+    }
+  } catch { /* ignore */ }
+}
+
+function toolResultText(block) {
+  if (typeof block.content === "string") return block.content;
+  return Array.isArray(block.content) ? block.content.map((c) => c.text || "").join("") : "";
+}
+
+// The start of a prompt, enough to match a Task call to its sidechain transcript.
+function promptKey(text) {
+  return typeof text === "string" ? text.trim().slice(0, PROMPT_KEY_CHARS) : "";
+}
+
+// A short hint at what a tool call is working on: a file name, the command
+// being run, a search pattern or a host.
+function toolTarget(input) {
+  if (!isPlainObject(input)) return "";
+  const path = input.file_path ?? input.notebook_path ?? input.path;
+  let target = "";
+  if (typeof path === "string") target = basename(path);
+  else if (typeof input.command === "string") {
+    target = input.command.trim().split(/\s+/).find((w) => !/^\w+=/.test(w)) ?? "";
+    target = basename(target);
+  } else if (typeof input.pattern === "string") target = input.pattern;
+  else if (typeof input.url === "string") {
+    try { target = new URL(input.url).host; } catch { target = input.url; }
+  } else if (typeof input.query === "string") target = input.query;
+  return target.length > 24 ? target.slice(0, 23) + "…" : target;
+}
+
+// A message the user typed, as opposed to tool results, meta entries and
+// compaction summaries, which are also recorded with type "user".
+function isUserPrompt(entry) {
+  if (entry.type !== "user" || entry.isMeta || entry.isCompactSummary || entry.isSidechain) return false;
+  const content = entry.message?.content;
+  if (typeof content === "string") return true;
+  return Array.isArray(content) && content.some((b) => b.type === "text");
+}
+
+function processLine(state, line) {
+  if (!line.trim()) return;
+  let entry;
+  try { entry = JSON.parse(line); } catch { return; }
+  const ts = entry.timestamp ? new Date(entry.timestamp).getTime() : Date.now();
+  if (typeof entry.cwd === "string") state.cwd = entry.cwd;
+  if (entry.timestamp) {
+    if (!state.sessionStart) state.sessionStart = ts;
+    // A resumed session carries its old history; time only counts from the
+    // first entry after the last long gap.
+    if (!state.activeStart || ts - state.lastEntryAt > RESUME_GAP_MS) state.activeStart = ts;
+    state.lastEntryAt = Math.max(state.lastEntryAt ?? 0, ts);
+    if (isUserPrompt(entry)) {
+      state.lastUserAt = ts;
+      state.pendingTools = {};
+    }
+  }
+  // A sidechain transcript opens with the prompt its Task call was given.
+  if (state.firstPrompt == null && entry.type === "user") {
+    const content = entry.message?.content;
+    state.firstPrompt = promptKey(typeof content === "string" ? content
+      : Array.isArray(content) ? content.filter((b) => b.type === "text").map((b) => b.text).join("") : "");
+  }
+
+  // Each compaction writes a compact_boundary entry followed by the summary.
+  // Transcripts from before boundaries existed only have the summary.
+  if (entry.type === "system" && entry.subtype === "compact_boundary") {
+    state.compactions++;
+    state.awaitingSummary = true;
+  } else if (entry.isCompactSummary) {
+    if (!state.awaitingSummary) state.compactions++;
+    state.awaitingSummary = false;
+  }
+
+  if (entry.type === "assistant" && entry.message?.usage) addUsage(state, entry.message);
+
+  const content = entry.message?.content;
+  if (!content || !Array.isArray(content)) return;
+
+  const agentMap = state.agents;
+  for (const block of content) {
+    if (block.type === "tool_use" && block.id && block.name) {
+      state.toolCalls++;
+      state.lastTool = block.name;
+      // Task calls are agents and already have their own rows.
+      if (block.name !== "Task" && block.name !== "proxy_Task") {
+        const ids = Object.keys(state.pendingTools);
+        if (ids.length >= MAX_PENDING_TOOLS) delete state.pendingTools[ids[0]];
+        state.pendingTools[block.id] = { name: block.name, target: toolTarget(block.input), startTime: ts };
+      }
+      if (block.name === "Task" || block.name === "proxy_Task") {
+        const input = block.input;
+        if (agentMap.size >= MAX_AGENT_MAP) {
+          // Evict oldest completed
+          let oldest = null, oldestT = Infinity;
+          for (const [id, a] of agentMap) {
+            if (a.status === "completed" && a.startTime < oldestT) {
+              oldestT = a.startTime;
+              oldest = id;
+            }
+          }
+          if (oldest) agentMap.delete(oldest);
+        }
+        agentMap.set(block.id, {
+          id: block.id,
+          type: input?.subagent_type ?? "unknown",
+          model: input?.model,
+          description: input?.description ?? "",
+          prompt: promptKey(input?.prompt),
+          status: "running",
+          startTime: ts,
+        });
+      }
+      if (block.name === "TaskCreate" || block.name === "TodoWrite" || block.name === "TaskUpdate") {
+        applyTaskCall(state, block);
+      }
+    }
+
+    if (block.type === "tool_result" && block.tool_use_id) {
+      const text = toolResultText(block);
+      const pending = state.pendingTools[block.tool_use_id];
+      delete state.pendingTools[block.tool_use_id];
+      // Interrupts and rejected permission prompts come back as errors too.
+      if (block.is_error && !/interrupted by user|doesn't want to proceed/i.test(text)) {
+        const name = pending?.name ?? "other";
+        state.toolErrors[name] = (state.toolErrors[name] ?? 0) + 1;
+      }
+      const agent = agentMap.get(block.tool_use_id);
+      if (agent) {
+        const m = text.match(/agentId:\s*([a-zA-Z0-9]+)/);
+        if (m) agent.agentId = m[1];
+        if (text.includes("Async agent launched")) {
+          agent.background = true;
+          if (m) state.bgAgents.set(m[1], block.tool_use_id);
+        } else {
+          agent.status = "completed";
+          agent.endTime = ts;
+        }
+      }
+      // TaskCreate replies "Task #N created"; until then the task has a guessed id.
+      const created = state.todos.find((t) => t.toolUseId === block.tool_use_id);
+      if (created) {
+        const m = text.match(/Task #(\w+)/);
+        if (block.is_error) state.todos.splice(state.todos.indexOf(created), 1);
+        else if (m) created.id = m[1];
+        delete created.toolUseId;
+      }
+      // Check TaskOutput completion
+      const tidM = text.match(/<task_id>([^<]+)<\/task_id>/);
+      const stM = text.match(/<status>([^<]+)<\/status>/);
+      if (tidM && stM && stM[1] === "completed") {
+        const origId = state.bgAgents.get(tidM[1]);
+        if (origId) {
+          const bg = agentMap.get(origId);
+          if (bg && bg.status === "running") { bg.status = "completed"; bg.endTime = ts; }
+        }
+      }
+    }
+  }
+}
+
+// TodoWrite replaces the whole list. TaskCreate adds one task and TaskUpdate
+// changes one by id, so those are applied to the list kept so far.
+function applyTaskCall(state, block) {
+  const input = block.input ?? {};
+  if (Array.isArray(input.todos)) {
+    state.todos = input.todos.map((t) => ({ content: t.content, status: t.status, activeForm: t.activeForm }));
+    return;
+  }
+  if (block.name === "TaskCreate" && input.subject) {
+    state.todos.push({
+      id: String(++state.taskSeq),
+      toolUseId: block.id,
+      content: input.subject,
+      status: "pending",
+      activeForm: input.activeForm,
+    });
+  } else if (block.name === "TaskUpdate" && input.taskId != null) {
+    const id = String(input.taskId);
+    let task = state.todos.find((t) => t.id === id);
+    if (input.status === "deleted") {
+      if (task) state.todos.splice(state.todos.indexOf(task), 1);
+      return;
+    }
+    // Created before this transcript started (e.g. a shared task list).
+    if (!task) state.todos.push(task = { id, content: `Task #${id}`, status: "pending" });
+    if (input.status) task.status = input.status;
+    if (input.subject) task.content = input.subject;
+    if (input.activeForm) task.activeForm = input.activeForm;
+  }
+}
+
+// Claude Code writes one entry per content block, each repeating the usage of
+// the message so far, so a repeated message id replaces its earlier counts.
+function addUsage(state, message) {
+  const model = message.model;
+  if (!model || model === "<synthetic>") return;
+  const u = message.usage;
+  const counts = {
+    input: u.input_tokens ?? 0,
+    output: u.output_tokens ?? 0,
+    cacheWrite: u.cache_creation_input_tokens ?? 0,
+    cacheRead: u.cache_read_input_tokens ?? 0,
+  };
+  const prev = message.id && state.lastUsage?.id === message.id ? state.lastUsage : null;
+  const totals = state.usage[model] ??= { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+  for (const k of Object.keys(counts)) totals[k] += counts[k] - (prev?.model === model ? prev.counts[k] : 0);
+  state.lastUsage = { id: message.id, model, counts };
+}
+
+// Feeds every complete line between state.offset and EOF through processLine.
+// A trailing partial line is left for the next refresh, and so is everything
+// past `deadline`: a huge transcript is caught up over several refreshes.
+function readAppended(fd, state, size, deadline) {
+  const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+  let pending = Buffer.alloc(0);
+  const start = state.offset;
+  let pos = start;
+  // The first chunk is always read, so a late start still makes progress.
+  while (pos < size && (pos === start || Date.now() < deadline)) {
+    const n = readSync(fd, chunk, 0, Math.min(chunk.length, size - pos), pos);
+    if (n <= 0) break;
+    pos += n;
+    const buf = pending.length ? Buffer.concat([pending, chunk.subarray(0, n)]) : chunk.subarray(0, n);
+    const lastNl = buf.lastIndexOf(0x0a);
+    if (lastNl === -1) { pending = Buffer.from(buf); continue; }
+    for (const line of buf.toString("utf8", 0, lastNl).split("\n")) processLine(state, line);
+    state.offset += lastNl + 1;
+    pending = Buffer.from(buf.subarray(lastNl + 1));
+  }
+}
+
+async function parseTranscript(transcriptPath, deadline = Infinity) {
+  const result = {
+    sessionStart: null, activeStart: null, lastUserAt: null, lastEntryAt: null,
+    agents: [], todos: [], usage: {}, compactions: 0, pendingTools: [], toolErrors: {},
+    firstPrompt: null, toolCalls: 0, lastTool: null, model: null, contextTokens: 0, cwd: null,
+  };
+  if (!transcriptPath || !existsSync(transcriptPath)) return result;
+
+  let state = readParserState(transcriptPath);
+  try {
+    const fd = openSync(transcriptPath, "r");
+    try {
+      const stat = statSync(transcriptPath);
+      const head = fileHead(fd, stat.size);
+      if (!state || state.ino !== stat.ino || stat.size < state.offset || (state.offset >= HEAD_FINGERPRINT_BYTES && state.head !== head)) {
+        if (!state && keepParserState) pruneParserStates();
+        state = { ...newParserState(), ino: stat.ino, offset: 0 };
+      }
+      const before = state.offset;
+      readAppended(fd, state, stat.size, deadline);
+      // The fingerprint only means something once it covers a full head block.
+      if (state.offset !== before || !state.head) {
+        state.head = head;
+        writeParserState(transcriptPath, state);
+      }
+    } finally {
+      closeSync(fd);
+    }
+  } catch { /* partial results */ }
+  if (!state) return result;
+
+  // Mark stale agents
+  const now = Date.now();
+  const agents = [...state.agents.values()].map((a) => ({
+    ...a,
+    status: a.status === "running" && now - a.startTime > STALE_AGENT_MS ? "completed" : a.status,
+    startTime: new Date(a.startTime),
+    endTime: a.endTime ? new Date(a.endTime) : undefined,
+  }));
+
+  const running = agents.filter((a) => a.status === "running");
+  const completed = agents.filter((a) => a.status === "completed");
+  result.sessionStart = state.sessionStart ? new Date(state.sessionStart) : null;
+  result.activeStart = state.activeStart ? new Date(state.activeStart) : null;
+  result.lastUserAt = state.lastUserAt ? new Date(state.lastUserAt) : null;
+  result.agents = [...running, ...completed.slice(-(10 - running.length))].slice(0, 10);
+  result.todos = state.todos;
+  result.usage = state.usage;
+  result.compactions = state.compactions;
+  result.pendingTools = Object.values(state.pendingTools)
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((t) => ({ ...t, startTime: new Date(t.startTime) }));
+  result.toolErrors = state.toolErrors;
+  result.lastEntryAt = state.lastEntryAt ? new Date(state.lastEntryAt) : null;
+  result.firstPrompt = state.firstPrompt;
+  result.toolCalls = state.toolCalls;
+  result.lastTool = state.lastTool;
+  result.model = state.lastUsage?.model ?? null;
+  result.cwd = state.cwd;
+  result.contextTokens = state.lastUsage ? Object.values(state.lastUsage.counts).reduce((a, b) => a + b, 0) : 0;
+  return result;
+}
+
+// Sidechain transcripts live in <session>/subagents/agent-<id>.jsonl (older
+// Claude Code versions put them next to the session transcript). Nested agents
+// write to the same folder, so one listing serves the whole tree.
+function listSidechains(transcriptPath) {
+  const dirs = [join(dirname(transcriptPath), basename(transcriptPath, ".jsonl"), "subagents"), dirname(transcriptPath)];
+  const files = [];
+  for (const dir of dirs) {
+    let names;
+    try { names = readdirSync(dir); } catch { continue; }
+    for (const name of names) {
+      if (!/^agent-[\w-]+\.jsonl$/.test(name)) continue;
+      const path = join(dir, name);
+      try { files.push({ id: name.slice(6, -6), path, mtimeMs: statSync(path).mtimeMs }); } catch { /* vanished */ }
+    }
+  }
+  return files;
+}
+
+// Fills in each running agent's activity from its sidechain transcript: found
+// by agentId once the Task result names it, otherwise by matching the prompt
+// against sidechains written since the agent started.
+async function attachSidechains(agents, files, deadline, depth = 1) {
+  for (const agent of agents) {
+    if (agent.status !== "running" || Date.now() >= deadline) continue;
+    let side = null;
+    const byId = agent.agentId && files.find((f) => f.id === agent.agentId);
+    if (byId) {
+      side = await parseTranscript(byId.path, deadline);
+      files.splice(files.indexOf(byId), 1);
+    } else if (agent.prompt) {
+      for (const f of files) {
+        if (f.mtimeMs < agent.startTime.getTime() || Date.now() >= deadline) continue;
+        const candidate = await parseTranscript(f.path, deadline);
+        if (candidate.firstPrompt === agent.prompt) {
+          side = candidate;
+          files.splice(files.indexOf(f), 1);
+          break;
+        }
+      }
+    }
+    if (!side) continue;
+    agent.toolCalls = side.toolCalls;
+    agent.lastTool = side.lastTool;
+    agent.contextTokens = side.contextTokens;
+    agent.lastActive = side.lastEntryAt;
+    agent.resolvedModel = side.model;
+    agent.children = depth < MAX_AGENT_DEPTH ? side.agents.filter((a) => a.status === "running") : [];
+    await attachSidechains(agent.children, files, deadline, depth + 1);
+  }
+}
+
+// ── Git ────────────────────────────────────────────────────────────────────────
+// `git status` for the session's directory, cached per directory for a few
+// seconds. The call runs while the transcript is parsed and is cut off at the
+// render deadline; a directory where it keeps timing out is left alone for a while.
+function readGitCache() {
+  try {
+    return JSON.parse(readFileSync(GIT_CACHE_PATH, "utf-8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeGitCache(cache) {
+  const now = Date.now();
+  for (const [dir, entry] of Object.entries(cache)) if (now - entry.timestamp > 86_400_000) delete cache[dir];
+  try { writeFileAtomic(GIT_CACHE_PATH, JSON.stringify(cache)); } catch { /* ignore */ }
+}
+
+function runGit(cwd, timeout) {
+  return new Promise((resolve) => {
+    execFile("git", ["--no-optional-locks", "status", "--porcelain=v2", "--branch"], {
+      cwd, timeout, maxBuffer: 4 * 1024 * 1024, env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+    }, (err, stdout) => {
+      if (err) resolve({ timedOut: err.killed === true });
+      else resolve({ stdout });
+    });
+  });
+}
+
+function parseGitStatus(stdout) {
+  const g = { branch: null, detached: false, oid: null, upstream: null, ahead: 0, behind: 0, staged: 0, unstaged: 0, untracked: 0, conflicts: 0 };
+  for (const line of stdout.split("\n")) {
+    if (line.startsWith("# branch.oid ")) g.oid = line.slice(13, 20);
+    else if (line.startsWith("# branch.head ")) {
+      const head = line.slice(14);
+      if (head === "(detached)") g.detached = true;
+      else g.branch = head;
+    } else if (line.startsWith("# branch.upstream ")) g.upstream = line.slice(18);
+    else if (line.startsWith("# branch.ab ")) {
+      const m = line.match(/\+(\d+) -(\d+)/);
+      if (m) { g.ahead = Number(m[1]); g.behind = Number(m[2]); }
+    } else if (line.startsWith("1 ") || line.startsWith("2 ")) {
+      if (line[2] !== ".") g.staged++;
+      if (line[3] !== ".") g.unstaged++;
+    } else if (line.startsWith("u ")) g.conflicts++;
+    else if (line.startsWith("? ")) g.untracked++;
+  }
+  return g;
+}
+
+// The .git directory for cwd, following the "gitdir:" file used by worktrees.
+function findGitDir(cwd) {
+  for (let dir = cwd; ; dir = dirname(dir)) {
+    const p = join(dir, ".git");
+    try {
+      if (statSync(p).isDirectory()) return p;
+      const m = readFileSync(p, "utf-8").match(/^gitdir:\s*(.+)$/m);
+      if (m) return isAbsolute(m[1].trim()) ? m[1].trim() : join(dir, m[1].trim());
+    } catch { /* keep looking */ }
+    if (dirname(dir) === dir) return null;
+  }
+}
+
+// Rebase, merge and friends leave marker files in the git dir.
+function gitOperation(gitDir) {
+  if (!gitDir) return null;
+  for (const dir of ["rebase-merge", "rebase-apply"]) {
+    const base = join(gitDir, dir);
+    if (!existsSync(base)) continue;
+    const read = (name) => { try { return readFileSync(join(base, name), "utf-8").trim(); } catch { return null; } };
+    const step = read("msgnum") ?? read("next");
+    const total = read("end") ?? read("last");
+    return { name: "rebase", step: step && total ? `${step}/${total}` : null };
+  }
+  const markers = [["MERGE_HEAD", "merge"], ["CHERRY_PICK_HEAD", "cherry-pick"], ["REVERT_HEAD", "revert"], ["BISECT_LOG", "bisect"]];
+  for (const [file, name] of markers) if (existsSync(join(gitDir, file))) return { name, step: null };
+  return null;
+}
+
+async function getGitStatus(cwd, deadline) {
+  if (!cwd) return null;
+  const cache = readGitCache();
+  const cached = cache[cwd];
+  if (cached && Date.now() - cached.timestamp < (cached.slow ? GIT_SLOW_TTL_MS : GIT_CACHE_TTL_MS)) return cached.data;
+
+  const timeout = Math.min(GIT_TIMEOUT_MS, Math.max(100, deadline - Date.now()));
+  const { stdout, timedOut } = await runGit(cwd, timeout);
+  // Outside a repo (or without git) there's nothing to show.
+  const data = stdout != null ? { ...parseGitStatus(stdout), operation: gitOperation(findGitDir(cwd)) } : null;
+  // A slow repo keeps its last known status rather than flickering off.
+  cache[cwd] = timedOut ? { timestamp: Date.now(), slow: true, data: cached?.data ?? null } : { timestamp: Date.now(), data };
+  writeGitCache(cache);
+  return cache[cwd].data;
+}
+
+// ── Cost ───────────────────────────────────────────────────────────────────────
+// USD per million tokens. First pattern that matches the model id wins; entries
+// from config cost.prices are checked before these.
+const MODEL_PRICES = [
+  { match: /opus-4-[5-9]/, input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: /opus/, input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: /sonnet/, input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: /haiku-4/, input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: /haiku-3-5/, input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { match: /haiku/, input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+];
+
+function priceFor(model, customPrices) {
+  for (const [pattern, price] of Object.entries(customPrices)) {
+    if (model.includes(pattern)) return price;
+  }
+  return MODEL_PRICES.find((p) => p.match.test(model)) ?? null;
+}
+
+function computeCost(usageByModel, customPrices) {
+  const summary = { tokens: 0, usd: 0, cacheHit: null, unpriced: [], models: {} };
+  let promptTokens = 0, cacheRead = 0;
+  for (const [model, u] of Object.entries(usageByModel)) {
+    const price = priceFor(model, customPrices);
+    const tokens = u.input + u.output + u.cacheWrite + u.cacheRead;
+    const usd = price
+      ? (u.input * price.input + u.output * price.output + u.cacheWrite * price.cacheWrite + u.cacheRead * price.cacheRead) / 1e6
+      : 0;
+    if (!price) summary.unpriced.push(model);
+    summary.models[model] = { ...u, tokens, usd };
+    summary.tokens += tokens;
+    summary.usd += usd;
+    promptTokens += u.input + u.cacheWrite + u.cacheRead;
+    cacheRead += u.cacheRead;
+  }
+  if (promptTokens > 0) summary.cacheHit = cacheRead / promptTokens;
+  return summary;
+}
+
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return `${n}`;
+}
+
+function formatUsd(usd) {
+  return `$${usd < 10 ? usd.toFixed(2) : usd.toFixed(1)}`;
+}
+
+// ── History ────────────────────────────────────────────────────────────────────
+// Opt-in (config history.enabled) append-only log of what each refresh saw,
+// at most one record per session per history.intervalSeconds. Read back by
+// the `report` subcommand.
+function historyFile(n) {
+  return n === 0 ? HISTORY_PATH : HISTORY_PATH.replace(/\.jsonl$/, `.${n}.jsonl`);
+}
+
+function rotateHistory(keep) {
+  try { unlinkSync(historyFile(keep)); } catch { /* */ }
+  for (let n = keep - 1; n >= 0; n--) {
+    try { renameSync(historyFile(n), historyFile(n + 1)); } catch { /* */ }
+  }
+}
+
+function recordHistory(settings, stdin, ctx) {
+  const sessionId = stdin.session_id ?? stdin.transcript_path ?? "unknown";
+  const now = Date.now();
+  try {
+    let state = {};
+    try { state = JSON.parse(readFileSync(HISTORY_STATE_PATH, "utf-8")); } catch { /* first run */ }
+    if (now - (state[sessionId] ?? 0) < settings.intervalSeconds * 1000) return;
+    state[sessionId] = now;
+    for (const [id, t] of Object.entries(state)) if (now - t > 86_400_000) delete state[id];
+
+    const record = {
+      t: new Date(now).toISOString(),
+      session: sessionId,
+      project: stdin.workspace?.project_dir ?? stdin.cwd ?? null,
+      model: stdin.model?.id ?? ctx.modelId,
+      context: ctx.contextPct,
+      fiveHour: ctx.usage?.fiveHour ?? null,
+      sevenDay: ctx.usage?.sevenDay ?? null,
+      linesAdded: stdin.cost?.total_lines_added ?? 0,
+      linesRemoved: stdin.cost?.total_lines_removed ?? 0,
+      agents: ctx.transcript.agents.filter((a) => a.status === "running").length,
+      durationMs: sessionTiming(ctx.transcript, stdin.cost).elapsedMs,
+    };
+    const line = JSON.stringify(record) + "\n";
+    const dir = dirname(HISTORY_PATH);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    let size = 0;
+    try { size = statSync(HISTORY_PATH).size; } catch { /* new file */ }
+    if (size > 0 && size + line.length > settings.maxBytes) rotateHistory(settings.keep);
+    appendFileSync(HISTORY_PATH, line);
+    writeFileAtomic(HISTORY_STATE_PATH, JSON.stringify(state));
+  } catch { /* ignore */ }
+}
+
+// Records from `since` on, oldest first, plus each session's last record from
+// before then: its line counts are where that session's in-range changes start.
+function readHistory(since, keep) {
+  const records = [];
+  const baseline = new Map();
+  for (let n = keep; n >= 0; n--) {
+    let raw;
+    try { raw = readFileSync(historyFile(n), "utf-8"); } catch { continue; }
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const r = JSON.parse(line);
+        const t = Date.parse(r.t);
+        if (t >= since) records.push(r);
+        else if (!(Date.parse(baseline.get(r.session)?.t) > t)) baseline.set(r.session, r);
+      } catch { /* skip corrupt line */ }
+    }
+  }
+  return { records: records.sort((a, b) => Date.parse(a.t) - Date.parse(b.t)), baseline };
+}
+
+// "7d", "12h", "30m" or anything Date.parse understands.
+function parseSince(value) {
+  const m = /^(\d+)([dhm])$/.exec(value ?? "7d");
+  if (m) return Date.now() - Number(m[1]) * { d: 86_400_000, h: 3_600_000, m: 60_000 }[m[2]];
+  const t = Date.parse(value);
+  return isNaN(t) ? null : t;
+}
+
+function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Lines changed are cumulative per session, so each record contributes its
+// increase over the previous record of the same session, starting from its
+// baseline record when the session began before the range.
+function summarizeHistory(records, keyOf, baseline = new Map()) {
+  const groups = new Map();
+  const lastLines = new Map([...baseline].map(([session, r]) => [session, { added: r.linesAdded, removed: r.linesRemoved }]));
+  for (const r of records) {
+    const key = keyOf(r);
+    const g = groups.get(key) ?? { key, sessions: new Set(), peakFiveHour: null, linesAdded: 0, linesRemoved: 0, models: new Set(), peakAgents: 0 };
+    groups.set(key, g);
+    const prev = lastLines.get(r.session) ?? { added: 0, removed: 0 };
+    g.linesAdded += r.linesAdded >= prev.added ? r.linesAdded - prev.added : r.linesAdded;
+    g.linesRemoved += r.linesRemoved >= prev.removed ? r.linesRemoved - prev.removed : r.linesRemoved;
+    lastLines.set(r.session, { added: r.linesAdded, removed: r.linesRemoved });
+    g.sessions.add(r.session);
+    if (r.fiveHour != null) g.peakFiveHour = Math.max(g.peakFiveHour ?? 0, r.fiveHour);
+    if (r.model) g.models.add(r.model);
+    g.peakAgents = Math.max(g.peakAgents, r.agents ?? 0);
+  }
+  return [...groups.values()].map((g) => ({
+    key: g.key,
+    sessions: g.sessions.size,
+    peakFiveHour: g.peakFiveHour,
+    linesAdded: g.linesAdded,
+    linesRemoved: g.linesRemoved,
+    models: [...g.models].map((id) => getModelId({ model: { id } })),
+    peakAgents: g.peakAgents,
+  }));
+}
+
+function formatTable(title, rows) {
+  const header = [title, "Sessions", "Peak 5h", "Lines +/-", "Peak agents", "Models"];
+  const body = rows.map((r) => [
+    r.key,
+    String(r.sessions),
+    r.peakFiveHour == null ? "--" : `${Math.round(r.peakFiveHour)}%`,
+    `+${r.linesAdded}/-${r.linesRemoved}`,
+    String(r.peakAgents),
+    r.models.join(", "),
+  ]);
+  return alignTable(header, body);
+}
+
+// First and last columns are text and left-aligned; the ones between are numbers.
+function alignTable(header, body) {
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((row) => row[i].length)));
+  const fmt = (row) => row.map((cell, i) => (i === 0 || i === row.length - 1 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ").trimEnd();
+  return [fmt(header), widths.map((w) => "─".repeat(w)).join("  "), ...body.map(fmt)].join("\n");
+}
+
+function runReport(args) {
+  const { config } = loadConfig(null);
+  const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+  const since = parseSince(flag("--since"));
+  if (since == null) {
+    console.error(`[HUD] report: can't parse --since "${flag("--since")}" (use e.g. 7d, 12h or 2026-01-31)`);
+    process.exitCode = 1;
+    return;
+  }
+  const { records, baseline } = readHistory(since, config.history.keep);
+  const days = summarizeHistory(records, (r) => localDay(r.t), baseline).sort((a, b) => a.key.localeCompare(b.key));
+  const projects = summarizeHistory(records, (r) => (r.project ? basename(r.project) : "(none)"), baseline).sort((a, b) => b.sessions - a.sessions);
+
+  if (flag("--format") === "json") {
+    console.log(JSON.stringify({ since: new Date(since).toISOString(), records: records.length, days, projects }, null, 2));
+    return;
+  }
+  if (records.length === 0) {
+    console.log(config.history.enabled
+      ? "No history recorded in that range yet."
+      : `No history yet. Turn it on with "history": { "enabled": true } in ${displayPath(CONFIG_PATH)}.`);
+    return;
+  }
+  console.log(`${formatTable("Day", days)}\n\n${formatTable("Project", projects)}`);
+}
+
+// ── Sessions ───────────────────────────────────────────────────────────────────
+// Every session writes its transcript to ~/.claude/projects/<project>/<id>.jsonl,
+// so recently modified transcripts are the sessions that are running now —
+// all drawing on the same 5h and 7d limits.
+function findActiveSessions(since) {
+  const sessions = [];
+  let projects;
+  try { projects = readdirSync(PROJECTS_DIR); } catch { return sessions; }
+  for (const project of projects) {
+    let names;
+    try { names = readdirSync(join(PROJECTS_DIR, project)); } catch { continue; }
+    for (const name of names) {
+      // agent-*.jsonl are sidechains of some session, not sessions of their own.
+      if (!name.endsWith(".jsonl") || name.startsWith("agent-")) continue;
+      const path = join(PROJECTS_DIR, project, name);
+      try {
+        const mtimeMs = statSync(path).mtimeMs;
+        if (mtimeMs >= since) sessions.push({ path, mtimeMs });
+      } catch { /* vanished */ }
+    }
+  }
+  return sessions.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+const runningAgents = (transcript) => transcript.agents.filter((a) => a.status === "running").length;
+
+// Active sessions and their running agents for the segment, from a cache that
+// is refreshed every few seconds. The current session's own numbers are live.
+async function getSessionsOverview(currentPath, currentTranscript, deadline) {
+  let cache = null;
+  try { cache = JSON.parse(readFileSync(SESSIONS_CACHE_PATH, "utf-8")); } catch { /* first run */ }
+  if (!cache || Date.now() - cache.timestamp >= SESSIONS_CACHE_TTL_MS) {
+    const sessions = [];
+    for (const { path } of findActiveSessions(Date.now() - SESSION_ACTIVE_MS)) {
+      const agents = path === currentPath || Date.now() >= deadline ? 0 : runningAgents(await parseTranscript(path, deadline));
+      sessions.push({ path, agents });
+    }
+    cache = { timestamp: Date.now(), sessions };
+    try { writeFileAtomic(SESSIONS_CACHE_PATH, JSON.stringify(cache)); } catch { /* ignore */ }
+  }
+  const others = cache.sessions.filter((s) => s.path !== currentPath);
+  return {
+    active: others.length + 1,
+    agents: others.reduce((sum, s) => sum + s.agents, 0) + runningAgents(currentTranscript),
+  };
+}
+
+async function runSessions(args) {
+  const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+  const since = parseSince(flag("--since") ?? "10m");
+  if (since == null) {
+    console.error(`[HUD] sessions: can't parse --since "${flag("--since")}" (use e.g. 10m, 2h or 2026-01-31)`);
+    process.exitCode = 1;
+    return;
+  }
+  const sessions = [];
+  for (const { path, mtimeMs } of findActiveSessions(since)) {
+    const t = await parseTranscript(path);
+    const done = t.todos.filter((todo) => todo.status === "completed").length;
+    sessions.push({
+      id: basename(path, ".jsonl"),
+      project: t.cwd,
+      model: t.model ? modelName(t.model) : null,
+      lastActivity: new Date(mtimeMs).toISOString(),
+      agents: runningAgents(t),
+      todos: t.todos.length ? { done, total: t.todos.length } : null,
+    });
+  }
+
+  if (flag("--format") === "json") {
+    console.log(JSON.stringify(sessions, null, 2));
+    return;
+  }
+  if (sessions.length === 0) {
+    console.log("No active sessions.");
+    return;
+  }
+  const header = ["Project", "Last active", "Agents", "Todos", "Model"];
+  const body = sessions.map((s) => [
+    s.project ? displayPath(s.project) : s.id,
+    `${formatDuration(Date.now() - Date.parse(s.lastActivity))} ago`,
+    String(s.agents),
+    s.todos ? `${s.todos.done}/${s.todos.total}` : "--",
+    s.model ?? "--",
+  ]);
+  console.log(alignTable(header, body));
+}
+
+// ── Alerts ─────────────────────────────────────────────────────────────────────
+// Threshold crossings and session events, checked against the state the last
+// refresh left behind so each one fires once. A session seen for the first time
+// only records a baseline. Rate limits are account-wide and tracked once for
+// all sessions; the lock keeps two sessions from announcing the same crossing.
+const ALERT_CHANNELS = ["bell", "osc9", "osc777", "command"];
+const ALERT_EVENTS = ["threshold", "todos", "agents"];
+
+function alertLevel(pct, o) {
+  if (pct == null) return null;
+  return pct >= o.crit ? "crit" : pct >= o.warn ? "warn" : null;
+}
+
+const levelRank = (level) => (level === "crit" ? 2 : level === "warn" ? 1 : 0);
+
+function collectAlerts(state, sessionId, ctx, config) {
+  const want = new Set(config.alerts.events);
+  const events = [];
+  const check = (prev, id, pct, baseline) => {
+    const o = segmentOptions(id, config);
+    const level = alertLevel(pct, o);
+    if (!baseline && want.has("threshold") && levelRank(level) > levelRank(prev)) {
+      const value = Math.round(pct);
+      events.push({ type: "threshold", segment: id, level, value, threshold: o[level], message: `${o.label || id} at ${value}% (${level})` });
+    }
+    return level;
+  };
+
+  // Stale numbers from a failed fetch would just repeat old news.
+  if (ctx.usage && !ctx.usage.error) {
+    const baseline = !state.usage;
+    state.usage ??= {};
+    for (const id of ["fiveHour", "sevenDay"]) state.usage[id] = check(state.usage[id] ?? null, id, ctx.usage[id], baseline);
+  }
+
+  const now = Date.now();
+  const baseline = !state.sessions[sessionId];
+  const s = state.sessions[sessionId] ??= { context: null, todosDone: false, agentsDone: [] };
+  s.t = now;
+  s.context = check(s.context, "context", ctx.context.pct, baseline);
+
+  const todos = ctx.transcript.todos;
+  const allDone = todos.length > 0 && todos.every((t) => t.status === "completed");
+  if (allDone && !s.todosDone && !baseline && want.has("todos")) {
+    events.push({ type: "todos", total: todos.length, message: `All tasks done (${todos.length})` });
+  }
+  s.todosDone = allDone;
+
+  // Agents marked completed only because they went stale have no end time.
+  for (const a of ctx.transcript.agents) {
+    if (!a.background || a.status !== "completed" || !a.endTime || s.agentsDone.includes(a.id)) continue;
+    s.agentsDone.push(a.id);
+    if (!baseline && want.has("agents")) {
+      events.push({
+        type: "agent", agent: a.type, description: a.description,
+        durationMs: a.endTime - a.startTime,
+        message: `Agent ${a.type} finished${a.description ? `: ${a.description}` : ""}`,
+      });
+    }
+  }
+  s.agentsDone = s.agentsDone.slice(-MAX_AGENT_MAP);
+
+  for (const [id, session] of Object.entries(state.sessions)) if (now - session.t > 86_400_000) delete state.sessions[id];
+  return events;
+}
+
+// Claude Code captures stdout, so escape sequences go straight to the terminal.
+// Inside tmux they're wrapped so tmux passes them through.
+function writeToTerminal(seq) {
+  if (process.platform === "win32") return;
+  if (process.env.TMUX && seq.startsWith("\x1b]")) seq = `\x1bPtmux;${seq.replace(/\x1b/g, "\x1b\x1b")}\x1b\\`;
+  try {
+    const fd = openSync("/dev/tty", "w");
+    try { writeSync(fd, seq); } finally { closeSync(fd); }
+  } catch { /* no controlling terminal */ }
+}
+
+function runAlertCommand(command, event) {
+  try {
+    const child = spawn(command, { shell: true, detached: true, stdio: ["pipe", "ignore", "ignore"] });
+    child.on("error", () => {});
+    child.stdin.on("error", () => {});
+    child.stdin.end(JSON.stringify(event) + "\n");
+    child.unref();
+  } catch { /* ignore */ }
+}
+
+function deliverAlerts(events, settings, stdin) {
+  for (const e of events) {
+    const event = {
+      ...e,
+      session: stdin.session_id ?? null,
+      project: stdin.workspace?.project_dir ?? stdin.cwd ?? null,
+      t: new Date().toISOString(),
+    };
+    const text = e.message.replace(/[\x00-\x1f\x7f;]/g, " ");
+    for (const channel of settings.channels) {
+      if (channel === "bell") writeToTerminal("\x07");
+      else if (channel === "osc9") writeToTerminal(`\x1b]9;${text}\x07`);
+      else if (channel === "osc777") writeToTerminal(`\x1b]777;notify;Claude Code;${text}\x07`);
+      else if (channel === "command" && settings.command) runAlertCommand(settings.command, event);
+    }
+  }
+}
+
+async function checkAlerts(config, stdin, ctx) {
+  const sessionId = stdin.session_id ?? stdin.transcript_path ?? "unknown";
+  await withLock(ALERT_LOCK_PATH, () => {
+    let state;
+    try { state = JSON.parse(readFileSync(ALERT_STATE_PATH, "utf-8")); } catch { /* first run */ }
+    if (!isPlainObject(state?.sessions)) state = { usage: null, sessions: {} };
+    const events = collectAlerts(state, sessionId, ctx, config);
+    try { writeFileAtomic(ALERT_STATE_PATH, JSON.stringify(state)); } catch { return; }
+    deliverAlerts(events, config.alerts, stdin);
+  }, { staleMs: ALERT_LOCK_STALE_MS });
+}
+
+// ── Plugins ────────────────────────────────────────────────────────────────────
+// ~/.claude/hud/segments/*.mjs add segments of their own. A plugin exports:
+//   id            segment id (defaults to the file name)
+//   collect(ctx)  optional, async; gets the session data plus an AbortSignal
+//   render(data, theme)  returns a string, an array of variants, or null
+// and optionally label, priority and timeoutMs. Anything a plugin gets wrong
+// — failing to load, throwing, timing out — only costs it its own segment.
+let pluginsLoaded = false;
+
+function brokenSegment() {
+  return `${c.dim}!${c.reset}`;
+}
+
+function registerBrokenPlugin(id, error) {
+  if (Object.hasOwn(SEGMENTS, id) && !SEGMENTS[id].plugin) return;
+  SEGMENTS[id] = { label: id, priority: TEXT_SEGMENT_PRIORITY, plugin: null, error, render: brokenSegment };
+}
+
+// Modules load side by side under one timeout, cut short by the render
+// deadline, so a slow module graph or a top-level await that never settles
+// can't hold up the bar. They're registered in file-name order either way.
+async function loadPlugins(deadline = Infinity) {
+  let names;
+  try { names = readdirSync(PLUGINS_DIR).filter((n) => n.endsWith(".mjs")).sort(); } catch { return; }
+  if (names.length) pluginsLoaded = true;
+  const ms = Math.max(0, Math.min(PLUGIN_IMPORT_TIMEOUT_MS, deadline - Date.now()));
+  const loaded = await Promise.allSettled(names.map((name) =>
+    withTimeout(import(pathToFileURL(join(PLUGINS_DIR, name)).href), ms, "loading")));
+  names.forEach((name, i) => {
+    const fileId = basename(name, ".mjs");
+    if (loaded[i].status === "rejected") {
+      // Its own id is unknown until it loads, so the error is filed under the file name.
+      registerBrokenPlugin(fileId, `${name}: ${loaded[i].reason?.message ?? loaded[i].reason}`);
+      return;
+    }
+    const mod = loaded[i].value;
+    const plugin = isPlainObject(mod.default) ? mod.default : mod;
+    const id = typeof plugin.id === "string" && plugin.id ? plugin.id : fileId;
+    // Built-in segments keep their ids.
+    if (Object.hasOwn(SEGMENTS, id)) return;
+    if (typeof plugin.render !== "function") {
+      registerBrokenPlugin(id, `${name}: does not export render()`);
+      return;
+    }
+    SEGMENTS[id] = {
+      label: typeof plugin.label === "string" ? plugin.label : id,
+      priority: Number.isFinite(plugin.priority) ? plugin.priority : TEXT_SEGMENT_PRIORITY,
+      plugin,
+      render: (ctx, o) => renderPlugin(plugin, ctx.plugins?.[id], o),
+    };
+  });
+}
+
+function withTimeout(promise, ms, what, controller) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`${what} took longer than ${ms}ms`));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Runs every shown plugin's collect() side by side, none past the render
+// deadline. Resolves to { [id]: { data } | { error } }.
+async function collectPlugins(ids, ctx, stdin, config, deadline = Infinity) {
+  const results = {};
+  await Promise.all(ids.map(async (id) => {
+    const plugin = SEGMENTS[id].plugin;
+    if (!plugin) { results[id] = { error: SEGMENTS[id].error }; return; }
+    if (typeof plugin.collect !== "function") { results[id] = { data: undefined }; return; }
+    const ms = Math.max(0, Math.min(Number.isFinite(plugin.timeoutMs) ? plugin.timeoutMs : PLUGIN_TIMEOUT_MS, PLUGIN_TIMEOUT_MAX_MS, deadline - Date.now()));
+    const controller = new AbortController();
+    const context = {
+      stdin, usage: ctx.usage, context: ctx.context, transcript: ctx.transcript, git: ctx.git,
+      model: ctx.modelId, options: config.plugins[id] ?? {}, signal: controller.signal,
+    };
+    try {
+      results[id] = { data: await withTimeout(Promise.resolve().then(() => plugin.collect(context)), ms, "collect()", controller) };
+    } catch (err) {
+      results[id] = { error: err?.message ?? String(err) };
+    }
+  }));
+  return results;
+}
+
+// What a plugin's render() gets: the active colors plus the helpers built-in
+// segments use, so plugins follow the theme and warn/crit markers.
+function pluginTheme(o) {
+  return {
+    ...c,
+    label: o.label,
+    percent: (pct, warn = 70, crit = 85) => paintPercent(`${Math.round(pct)}%`, pct, warn, crit),
+    truncate: truncateVisible,
+  };
+}
+
+function renderPlugin(plugin, result, o) {
+  if (!result || "error" in result) return brokenSegment();
+  try {
+    const out = plugin.render(result.data, pluginTheme(o));
+    if (out == null || out === "") return null;
+    const variants = [].concat(out).filter((v) => typeof v === "string" && v);
+    return variants.length ? variants : brokenSegment();
+  } catch {
+    return brokenSegment();
+  }
+}
+
+// ── Layout ─────────────────────────────────────────────────────────────────────
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+const ZERO_WIDTH_RE = /[\p{Mn}\p{Me}\p{Cf}]/u;
+const WIDE_RE = /[\p{Emoji_Presentation}\u1100-\u115f\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff\ua000-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{20000}-\u{3fffd}]/u;
+
+function charWidth(ch) {
+  const cp = ch.codePointAt(0);
+  if (cp < 32 || (cp >= 0x7f && cp < 0xa0) || ZERO_WIDTH_RE.test(ch)) return 0;
+  return WIDE_RE.test(ch) ? 2 : 1;
+}
+
+function visibleWidth(str) {
+  let width = 0;
+  for (const ch of str.replace(ANSI_RE, "")) width += charWidth(ch);
+  return width;
+}
+
+// Cuts `str` to `max` visible columns, keeping escape sequences intact and
+// ending with "…" plus a reset when anything was removed.
+function truncateVisible(str, max) {
+  if (visibleWidth(str) <= max) return str;
+  if (max <= 0) return "";
+  let out = "", width = 0, last = 0;
+  for (const m of str.matchAll(ANSI_RE)) {
+    for (const ch of str.slice(last, m.index)) {
+      const w = charWidth(ch);
+      if (width + w > max - 1) return out + "…" + c.reset;
+      out += ch;
+      width += w;
+    }
+    out += m[0];
+    last = m.index + m[0].length;
+  }
+  for (const ch of str.slice(last)) {
+    const w = charWidth(ch);
+    if (width + w > max - 1) return out + "…" + c.reset;
+    out += ch;
+    width += w;
+  }
+  return out;
+}
+
+// Columns available to the bar. stdout is a pipe to Claude Code, so fall back
+// to stderr, $COLUMNS and finally the controlling terminal itself.
+function terminalWidth(layout) {
+  if (typeof layout.width === "number") return layout.width;
+  let cols = process.stdout.columns || process.stderr.columns || parseInt(process.env.COLUMNS, 10) || 0;
+  if (!cols && process.platform !== "win32") {
+    try {
+      const fd = openSync("/dev/tty", "r");
+      if (tty.isatty(fd)) {
+        const stream = new tty.WriteStream(fd);
+        cols = stream.columns || 0;
+        stream.destroy();
+      } else closeSync(fd);
+    } catch { /* no controlling terminal */ }
+  }
+  return cols > 0 ? Math.max(20, cols - layout.margin) : Infinity;
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────────
+function formatDuration(ms) {
+  if (ms < 0) ms = 0;
+  const totalSec = Math.floor(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  if (h > 0) return `${h}h${m.toString().padStart(2, "0")}m`;
+  if (m > 0) return `${m}m${s.toString().padStart(2, "0")}s`;
+  return `${s}s`;
+}
+
+// Claude Code's own duration (cost.total_duration_ms) covers just this run of
+// the session, so it's preferred over transcript timestamps, which go back to
+// the original start of a resumed session. Idle time can't exceed that either.
+function sessionTiming(transcript, cost) {
+  const now = Date.now();
+  const wallMs = cost?.total_duration_ms;
+  const apiMs = cost?.total_api_duration_ms;
+  const elapsedMs = typeof wallMs === "number" ? wallMs
+    : transcript.activeStart ? now - transcript.activeStart.getTime() : null;
+  const apiShare = typeof apiMs === "number" && wallMs > 0 ? Math.min(1, apiMs / wallMs) : null;
+  let idleMs = transcript.lastUserAt ? now - transcript.lastUserAt.getTime() : null;
+  if (idleMs != null && elapsedMs != null) idleMs = Math.min(idleMs, elapsedMs);
+  return { elapsedMs, apiShare, idleMs };
+}
+
+// Coarser than formatDuration, for projections where seconds are noise.
+function formatEta(ms) {
+  const totalMin = Math.floor(ms / 60_000);
+  if (totalMin < 1) return "<1m";
+  const h = Math.floor(totalMin / 60);
+  return h > 0 ? `${h}h${(totalMin % 60).toString().padStart(2, "0")}m` : `${totalMin}m`;
+}
+
+function colorForPercent(pct, warnAt = 70, critAt = 85) {
+  if (pct >= critAt) return c.red;
+  if (pct >= warnAt) return c.yellow;
+  return c.green;
+}
+
+// Colors `text` for its warn/crit state and adds the configured non-color
+// marker: a trailing glyph, or bold (warn) / bold+underline (crit).
+function paintPercent(text, pct, warnAt = 70, critAt = 85) {
+  const state = pct >= critAt ? "crit" : pct >= warnAt ? "warn" : null;
+  let style = "", glyph = "";
+  if (state && markers.mode === "style") style = state === "crit" ? c.bold + c.underline : c.bold;
+  if (state && markers.mode === "glyph") glyph = markers[state];
+  return `${colorForPercent(pct, warnAt, critAt)}${style}${text}${glyph}${c.reset}`;
+}
+
+function contextBar(pct, warnAt, critAt) {
+  const filled = Math.round(pct / 10);
+  const empty = 10 - filled;
+  return paintPercent(`[${"█".repeat(filled)}${"░".repeat(empty)}]${pct}%`, pct, warnAt, critAt);
+}
+
+// "~18k" — headroom is an estimate, so whole thousands are plenty.
+function formatHeadroom(tokens) {
+  return tokens >= 1000 ? `~${Math.round(tokens / 1000)}k` : `~${tokens}`;
+}
+
+function formatResetTime(resetDate) {
+  if (!resetDate) return "";
   const d = resetDate instanceof Date ? resetDate : new Date(resetDate);
   if (isNaN(d.getTime())) return "";
   const ms = d.getTime() - Date.now();
@@ -452,110 +2445,1014 @@ function formatResetTime(resetDate) {
   return `${c.dim}(${formatDuration(ms)})${c.reset}`;
 }
 
-function render(usage, transcript, contextPct, modelId, version, latestVersion, cost) {
+function renderRateLimit(o, usage, pct, resets, limitAt) {
+  const reason = usage?.error ? `${c.yellow}${usage.error.label}${c.reset}` : "";
+  if (pct == null) {
+    if (!reason) return [`${c.gray}${o.label}: --${c.reset}`, `${c.gray}${o.label}?${c.reset}`];
+    return [`${c.gray}${o.label}:${c.reset} ${reason}`, `${c.gray}${o.label}${c.reset}${c.yellow}!${c.reset}`];
+  }
+  // Last good values, dimmed, while refreshes fail or haven't caught up yet.
+  if (usage.error || usage.ageMs > USAGE_STALE_MS) {
+    const value = `${c.gray}${o.label}:${c.reset} ${c.dim}${Math.round(pct)}%`;
+    const note = reason ? ` ${reason}` : "";
+    return [`${value} · ${formatEta(usage.ageMs)} ago${c.reset}${note}`, `${value}${c.reset}${note}`, `${value}${c.reset}`];
+  }
+  const value = `${c.gray}${o.label}:${c.reset} ${paintPercent(`${Math.round(pct)}%`, pct, o.warn, o.crit)}`;
+  // A projected limit before the reset replaces the reset countdown.
+  const untilLimit = limitAt ? limitAt.getTime() - Date.now() : 0;
+  if (o.forecast && untilLimit > 0) {
+    const eta = formatEta(untilLimit);
+    return [`${value} ${c.yellow}→ limit in ${eta}${c.reset}`, `${value} ${c.yellow}→${eta}${c.reset}`, value];
+  }
+  const reset = formatResetTime(resets);
+  return reset ? [`${value} ${reset}`, value] : value;
+}
+
+// Built-in segments. `label`, `warn` and `crit` are defaults that config.json
+// can override per segment. render() returns null to leave the segment out, or
+// one or more variants from most to least detailed; when the bar is too wide,
+// segments step down a variant at a time (lowest `priority` first) and are
+// dropped once they run out.
+const SEGMENTS = {
+  fiveHour: {
+    label: "5h", warn: 60, crit: 80, priority: 80,
+    render: (ctx, o) => renderRateLimit(o, ctx.usage, ctx.usage?.fiveHour, ctx.usage?.fiveHourResets, ctx.usage?.fiveHourLimitAt),
+  },
+  sevenDay: {
+    label: "7d", warn: 60, crit: 80, priority: 70,
+    render: (ctx, o) => renderRateLimit(o, ctx.usage, ctx.usage?.sevenDay, ctx.usage?.sevenDayResets, ctx.usage?.sevenDayLimitAt),
+  },
+  modelLimit: {
+    label: "", warn: 60, crit: 80, priority: 65,
+    render: (ctx, o) => {
+      const w = modelWindow(ctx.usage, ctx.modelId);
+      if (!w) return null;
+      // No burn-rate history is kept for per-model buckets, so no forecast.
+      return renderRateLimit({ ...o, label: o.label || w.label, forecast: false }, ctx.usage, w.utilization, w.resetsAt, null);
+    },
+  },
+  context: {
+    label: "Context", warn: 70, crit: 85, priority: 90,
+    render: (ctx, o) => {
+      const { pct, untilCompact } = ctx.context;
+      const value = paintPercent(`${pct}%`, pct, o.warn, o.crit);
+      const label = `${c.gray}${o.label}:${c.reset}`;
+      const dot = ` ${c.dim}·${c.reset} `;
+      const headroom = untilCompact == null ? ""
+        : untilCompact > 0 ? `${dot}${c.gray}${formatHeadroom(untilCompact)} to compact${c.reset}`
+        : `${dot}${c.yellow}compacting${c.reset}`;
+      const n = ctx.transcript.compactions;
+      const compacted = n > 0 ? `${dot}${c.dim}compacted ${n}×${c.reset}` : "";
+      const short = `${c.gray}${o.label.charAt(0)}${c.reset}${value}`;
+      const variants = [`${label} ${value}${headroom}${compacted}`, `${label} ${value}${headroom}`];
+      if (o.bar) variants.unshift(`${label} ${contextBar(pct, o.warn, o.crit)}${headroom}${compacted}`, `${label} ${contextBar(pct, o.warn, o.crit)}${headroom}`);
+      return [...variants, `${label} ${value}`, short];
+    },
+  },
+  session: {
+    label: "Session", priority: 45,
+    render: (ctx, o) => {
+      const t = sessionTiming(ctx.transcript, ctx.cost);
+      if (t.elapsedMs == null) return null;
+      const dot = ` ${c.dim}·${c.reset} `;
+      const elapsed = `${c.white}${formatEta(t.elapsedMs)}${c.reset}`;
+      const api = t.apiShare != null ? `${dot}${c.gray}API ${Math.round(t.apiShare * 100)}%${c.reset}` : "";
+      const idle = t.idleMs >= 60_000 ? `${dot}${c.gray}idle ${formatEta(t.idleMs)}${c.reset}` : "";
+      return [
+        `${c.gray}${o.label}:${c.reset} ${elapsed}${api}${idle}`,
+        `${c.gray}${o.label}:${c.reset} ${elapsed}${idle}`,
+        elapsed,
+      ];
+    },
+  },
+  tools: {
+    label: "Tool", priority: 55,
+    render: (ctx, o) => {
+      const { pendingTools, toolErrors } = ctx.transcript;
+      const counts = Object.entries(toolErrors).sort((a, b) => b[1] - a[1]);
+      const failed = counts.reduce((sum, [, n]) => sum + n, 0);
+      const top = counts[0]?.[1] > 1 ? ` ${c.dim}(${counts[0][1]} ${counts[0][0]})${c.reset}` : "";
+      const errors = failed ? `${c.red}${failed} failed${c.reset}` : "";
+      const shortErrors = failed ? `${c.red}✗${failed}${c.reset}` : "";
+      const label = `${c.gray}${o.label}:${c.reset}`;
+      // The oldest pending call is the one worth watching.
+      const t = pendingTools[0];
+      if (!t) return failed ? [`${label} ${errors}${top}`, shortErrors] : null;
+      const ms = Date.now() - t.startTime.getTime();
+      const elapsed = `${ms >= TOOL_SLOW_MS ? c.yellow : c.dim}${formatDuration(ms)}${c.reset}`;
+      const target = t.target ? `${c.gray}(${t.target})${c.reset}` : "";
+      const more = pendingTools.length > 1 ? ` ${c.dim}+${pendingTools.length - 1}${c.reset}` : "";
+      const dot = ` ${c.dim}·${c.reset} `;
+      const name = `${c.white}${t.name}${c.reset}`;
+      return [
+        `${label} ${name}${target} ${elapsed}${more}${failed ? `${dot}${errors}${top}` : ""}`,
+        `${label} ${name}${target} ${elapsed}${failed ? `${dot}${errors}` : ""}`,
+        `${name} ${elapsed}${failed ? ` ${shortErrors}` : ""}`,
+        `${name} ${elapsed}`,
+      ];
+    },
+  },
+  git: {
+    label: "Git", priority: 42,
+    render: (ctx, o) => {
+      const g = ctx.git;
+      if (!g) return null;
+      const label = o.label ? `${c.gray}${o.label}:${c.reset} ` : "";
+      const name = g.detached ? `${c.yellow}(${g.oid ?? "detached"})${c.reset}` : `${c.cyan}${truncateVisible(g.branch ?? "", 30)}${c.reset}`;
+      const shortName = g.detached ? name : `${c.cyan}${truncateVisible(g.branch ?? "", 16)}${c.reset}`;
+      const ab = (g.ahead ? ` ${c.green}↑${g.ahead}${c.reset}` : "") + (g.behind ? ` ${c.yellow}↓${g.behind}${c.reset}` : "");
+      const counts = [
+        g.conflicts && `${c.red}!${g.conflicts}${c.reset}`,
+        g.staged && `${c.green}+${g.staged}${c.reset}`,
+        g.unstaged && `${c.yellow}~${g.unstaged}${c.reset}`,
+        g.untracked && `${c.gray}?${g.untracked}${c.reset}`,
+      ].filter(Boolean).join(" ");
+      const dirty = g.conflicts || g.staged || g.unstaged || g.untracked ? `${c.yellow}*${c.reset}` : "";
+      const op = g.operation ? ` ${c.red}${g.operation.name.toUpperCase()}${g.operation.step ? ` ${g.operation.step}` : ""}${c.reset}` : "";
+      const shortOp = g.operation ? ` ${c.red}${g.operation.name.toUpperCase()}${c.reset}` : "";
+      return [
+        `${label}${name}${ab}${counts ? ` ${counts}` : ""}${op}`,
+        `${name}${dirty}${ab}${op}`,
+        `${shortName}${dirty}${shortOp}`,
+      ];
+    },
+  },
+  sessions: {
+    label: "Sessions", priority: 25,
+    render: (ctx, o) => {
+      const s = ctx.sessions;
+      // Only worth the space when something else is sharing the limits.
+      if (!s || s.active < 2) return null;
+      const agents = s.agents ? ` ${c.dim}·${c.reset} ${c.gray}${s.agents} agent${s.agents === 1 ? "" : "s"}${c.reset}` : "";
+      return [
+        `${c.gray}${o.label}:${c.reset} ${c.white}${s.active} active${c.reset}${agents}`,
+        `${c.gray}${o.label}:${c.reset} ${c.white}${s.active}${c.reset}`,
+        `${c.gray}${o.label.charAt(0)}${c.reset}${c.white}${s.active}${c.reset}`,
+      ];
+    },
+  },
+  changes: {
+    label: "Changes", priority: 40,
+    render: (ctx, o) => {
+      const added = ctx.cost?.total_lines_added ?? 0;
+      const removed = ctx.cost?.total_lines_removed ?? 0;
+      const value = added || removed
+        ? `${c.green}+${added}${c.reset}${c.dim}/${c.reset}${c.red}-${removed}${c.reset}`
+        : `${c.dim}+0/-0${c.reset}`;
+      return [`${c.gray}${o.label}:${c.reset} ${value}`, value];
+    },
+  },
+  cost: {
+    label: "Cost", priority: 35,
+    render: (ctx, o) => {
+      const { costSummary } = ctx;
+      const reported = ctx.cost?.total_cost_usd;
+      if (!costSummary.tokens && reported == null) return null;
+      const usd = `${c.white}${formatUsd(costSummary.usd)}${c.reset}`;
+      const cc = typeof reported === "number" ? ` ${c.dim}(CC ${formatUsd(reported)})${c.reset}` : "";
+      const cache = costSummary.cacheHit != null ? ` ${c.dim}·${c.reset} ${c.gray}${Math.round(costSummary.cacheHit * 100)}% cache${c.reset}` : "";
+      const tokens = ` ${c.dim}·${c.reset} ${c.gray}${formatTokens(costSummary.tokens)} tok${c.reset}`;
+      return [
+        `${c.gray}${o.label}:${c.reset} ${usd}${tokens}${cache}${cc}`,
+        `${c.gray}${o.label}:${c.reset} ${usd}${cc}`,
+        usd,
+      ];
+    },
+  },
+  agents: {
+    label: "Agents", priority: 60,
+    render: (ctx, o) => {
+      const running = ctx.transcript.agents.filter((a) => a.status === "running");
+      if (running.length === 0) return null;
+      const count = `${c.cyan}${running.length}${c.reset}`;
+      return [`${c.gray}${o.label}:${c.reset} ${count}`, `${c.gray}${o.label.charAt(0)}${c.reset}${count}`];
+    },
+  },
+  todos: {
+    label: "Todos", priority: 50,
+    render: (ctx, o) => {
+      const todos = ctx.transcript.todos;
+      if (todos.length === 0) return null;
+      const done = todos.filter((t) => t.status === "completed").length;
+      const todoColor = done === todos.length ? c.green : c.yellow;
+      const count = `${todoColor}${done}/${todos.length}${c.reset}`;
+      return [`${c.gray}${o.label}:${c.reset} ${count}`, `${c.gray}${o.label.charAt(0)}${c.reset}${count}`];
+    },
+  },
+  model: {
+    label: "", priority: 30,
+    render: (ctx, o) => {
+      const prefix = o.label ? `${c.gray}${o.label}:${c.reset} ` : "";
+      const family = ctx.modelId.split(" ")[0];
+      const full = `${prefix}${c.dim}${ctx.modelId}${c.reset}`;
+      return family !== ctx.modelId ? [full, `${c.dim}${family}${c.reset}`] : full;
+    },
+  },
+  version: {
+    label: "CC", priority: 10,
+    render: (ctx, o) => {
+      const { version, versionStatus: v } = ctx;
+      const displayVersion = version || v?.latest;
+      if (!displayVersion) return null;
+      let status = "";
+      if (!version || v?.status === "latest") status = v ? ` ${c.dim}(latest)${c.reset}` : "";
+      else if (v?.status === "ahead") status = ` ${c.cyan}(ahead)${c.reset}`;
+      else if (v?.status === "behind") status = ` ${c.yellow}(${v.behind} behind)${c.reset}`;
+      const full = `${c.dim}${o.label} v${displayVersion}${c.reset}${status}`;
+      return status ? [full, `${c.dim}${o.label} v${displayVersion}${c.reset}`] : full;
+    },
+  },
+};
+
+const TEXT_SEGMENT_PRIORITY = 20;
+const SEPARATOR = ` ${c.dim}|${c.reset} `;
+
+function segmentOptions(id, config) {
+  const seg = SEGMENTS[id];
+  return {
+    label: config.labels[id] ?? seg.label,
+    warn: config.thresholds[id]?.warn ?? seg.warn,
+    crit: config.thresholds[id]?.crit ?? seg.crit,
+    forecast: config.forecast.enabled,
+    bar: config.context.style === "bar",
+  };
+}
+
+// Shortens segments one variant at a time, lowest priority first, until the
+// line fits; only when everything is as short as it gets do segments drop out,
+// again lowest priority first.
+function fitSegments(items, width) {
+  const sepWidth = visibleWidth(SEPARATOR);
+  const lineWidth = () => {
+    const shown = items.filter((it) => it.level < it.variants.length);
+    return shown.reduce((sum, it) => sum + it.widths[it.level], 0) + Math.max(0, shown.length - 1) * sepWidth;
+  };
+  const order = [...items].sort((a, b) => a.priority - b.priority);
+  for (const it of order) {
+    while (it.level < it.variants.length - 1 && lineWidth() > width) it.level++;
+  }
+  for (const it of order) {
+    if (lineWidth() <= width) break;
+    it.level = it.variants.length;
+  }
+  return items.filter((it) => it.level < it.variants.length).map((it) => it.variants[it.level]);
+}
+
+// Badge for the agent's model. "inherit" and unset both mean the session's
+// model, unless the sidechain transcript says what actually answered.
+function modelBadge(agent, parentModel) {
+  const model = (agent.resolvedModel ?? (agent.model && agent.model !== "inherit" ? agent.model : parentModel) ?? "").toLowerCase();
+  if (model.includes("opus")) return `${c.magenta}O${c.reset}`;
+  if (model.includes("sonnet")) return `${c.cyan}s${c.reset}`;
+  if (model.includes("haiku")) return `${c.green}h${c.reset}`;
+  return `${c.dim}?${c.reset}`;
+}
+
+function agentActivity(a) {
   const parts = [];
+  const idleMs = a.lastActive ? Date.now() - a.lastActive.getTime() : 0;
+  if (idleMs >= AGENT_IDLE_MS) parts.push(`${c.yellow}idle ${formatEta(idleMs)}${c.reset}`);
+  else if (a.lastTool) parts.push(`${c.white}${a.lastTool}${c.reset}`);
+  if (a.toolCalls) parts.push(`${c.gray}${a.toolCalls} tool${a.toolCalls === 1 ? "" : "s"}${c.reset}`);
+  if (a.contextTokens) parts.push(`${c.gray}${formatTokens(a.contextTokens)}${c.reset}`);
+  return parts.join(` ${c.dim}·${c.reset} `);
+}
+
+// One row above the agent tree: what Claude is working on now, and what's next.
+function renderTaskLine(todos, width, isLast) {
+  const active = todos.filter((t) => t.status === "in_progress");
+  const next = todos.find((t) => t.status === "pending");
+  if (active.length === 0 && !next) return [];
+  const prefix = `${c.dim}${isLast ? "└─" : "├─"}${c.reset} `;
+  const nextText = next ? truncateVisible(next.content || "", Math.max(0, Math.floor(width / 3))) : "";
+  const nextPart = nextText ? `${c.dim}next:${c.reset} ${c.gray}${nextText}${c.reset}` : "";
+  if (active.length === 0) return [`${prefix}${nextPart}`];
+  const more = active.length > 1 ? ` ${c.dim}(+${active.length - 1})${c.reset}` : "";
+  const room = width === Infinity ? 60 : Math.max(0, width - 3 - 2 - visibleWidth(more) - (nextPart ? visibleWidth(nextPart) + 3 : 0));
+  const text = truncateVisible(active[0].activeForm || active[0].content || "", room);
+  return [`${prefix}${c.yellow}▸${c.reset} ${c.white}${text}${c.reset}${more}${nextPart ? `   ${nextPart}` : ""}`];
+}
+
+function renderAgentTree(agents, maxRows, width, parentModel) {
+  const rows = [];
+  // Depth-first, so children sit right under their parent.
+  const walk = (list, indent, model) => {
+    const running = list.filter((a) => a.status === "running");
+    running.forEach((a, i) => {
+      rows.push({ a, indent, isLast: i === running.length - 1, model });
+      walk(a.children ?? [], indent + (i === running.length - 1 ? "   " : "│  "), a.resolvedModel ?? model);
+    });
+  };
+  walk(agents, "", parentModel);
+
+  const lines = [];
+  for (let i = 0; i < rows.length && i < maxRows; i++) {
+    const { a, indent, model } = rows[i];
+    const isLast = rows[i].isLast || i === maxRows - 1;
+    const prefix = `${indent}${isLast ? "└─" : "├─"}`;
+    const elapsed = formatDuration(Date.now() - a.startTime.getTime());
+    const type = (a.type || "agent").substring(0, 14).padEnd(14);
+    const activity = agentActivity(a);
+    const head = `${c.dim}${prefix}${c.reset} ${modelBadge(a, model)} ${c.white}${type}${c.reset} ${c.dim}${elapsed.padStart(5)}${c.reset}${activity ? `  ${activity}` : ""}`;
+    const descWidth = width === Infinity ? 45 : Math.max(0, width - visibleWidth(head) - 3);
+    const desc = truncateVisible(a.description || "", descWidth);
+    lines.push(desc ? `${head}   ${c.gray}${desc}${c.reset}` : head);
+  }
+  return lines;
+}
+
+// Optional second line listing every limit bucket plus extra-usage state. The
+// 5h and 7d buckets use those segments' thresholds; the per-model buckets and
+// extra usage use modelLimit's.
+function renderLimitsLine(usage, config) {
+  if (!usage?.windows?.length) return [];
+  const thresholds = (id) => segmentOptions(id === "five_hour" ? "fiveHour" : id === "seven_day" ? "sevenDay" : "modelLimit", config);
+  const items = usage.windows.map((w) => {
+    const { warn, crit } = thresholds(w.id);
+    const reset = formatResetTime(w.resetsAt);
+    return `${c.gray}${w.label}${c.reset} ${paintPercent(`${Math.round(w.utilization)}%`, w.utilization, warn, crit)}${reset ? ` ${reset}` : ""}`;
+  });
+  const extra = usage.extraUsage;
+  if (extra) {
+    const { warn, crit } = thresholds("extra_usage");
+    const state = !extra.enabled ? `${c.dim}off${c.reset}`
+      : extra.utilization != null ? paintPercent(`${Math.round(extra.utilization)}%`, extra.utilization, warn, crit)
+      : `${c.green}on${c.reset}`;
+    items.push(`${c.gray}Extra${c.reset} ${state}`);
+  }
+  const stale = usage.error ? ` ${c.dim}(${formatEta(usage.ageMs)} ago)${c.reset}` : "";
+  return [`${c.gray}Limits:${c.reset} ${items.join(` ${c.dim}·${c.reset} `)}${stale}`];
+}
+
+function renderConfigErrors(errors) {
+  if (errors.length === 0) return [];
+  const more = errors.length > 1 ? ` ${c.dim}(+${errors.length - 1} more)${c.reset}` : "";
+  return [`${c.yellow}[HUD] config:${c.reset} ${errors[0]}${more}`];
+}
+
+function render(ctx, config) {
+  const width = terminalWidth(config.layout);
+  const items = [];
+  for (const seg of config.segments) {
+    if (typeof seg === "object") {
+      items.push({ variants: [`${c[seg.color] ?? c.gray}${seg.text}${c.reset}`], priority: TEXT_SEGMENT_PRIORITY });
+      continue;
+    }
+    if (config.hide.includes(seg)) continue;
+    const out = SEGMENTS[seg].render(ctx, segmentOptions(seg, config));
+    if (out) items.push({ variants: [].concat(out), priority: SEGMENTS[seg].priority });
+  }
+  for (const it of items) {
+    it.level = 0;
+    it.widths = it.variants.map(visibleWidth);
+  }
+
+  const agentRows = renderAgentTree(ctx.transcript.agents, config.agentTree.maxRows, width, ctx.modelId);
+  const lines = [
+    fitSegments(items, width).join(SEPARATOR),
+    ...renderConfigErrors(ctx.configErrors),
+    ...(config.limits.expanded ? renderLimitsLine(ctx.usage, config) : []),
+    ...(config.todos.detail ? renderTaskLine(ctx.transcript.todos, width, agentRows.length === 0) : []),
+    ...agentRows,
+  ];
+  return lines.map((line) => truncateVisible(line, width)).join("\n") + "\n";
+}
+
+// ── Output Formats ─────────────────────────────────────────────────────────────
+// Besides the statusline itself: plain text, tmux #[...] styles for
+// status-right, and JSON with everything the segments are built from. Outside
+// Claude Code these run on the last payload it sent.
+const OUTPUT_FORMATS = ["ansi", "plain", "tmux", "json"];
+
+function saveLastStdin(stdin) {
+  try {
+    writeFileAtomic(LAST_STDIN_PATH, JSON.stringify({ savedAt: Date.now(), payload: stdin }));
+  } catch { /* ignore */ }
+}
+
+function readLastStdin() {
+  try {
+    return JSON.parse(readFileSync(LAST_STDIN_PATH, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+const TMUX_COLORS_16 = {
+  30: "black", 31: "red", 32: "green", 33: "yellow", 34: "blue", 35: "magenta", 36: "cyan", 37: "white",
+  90: "brightblack", 91: "brightred", 92: "brightgreen", 93: "brightyellow",
+  94: "brightblue", 95: "brightmagenta", 96: "brightcyan", 97: "brightwhite",
+};
+
+// Rewrites the SGR codes render() emits as tmux styles. "#" is tmux's format
+// character, so literal ones are doubled first.
+function ansiToTmux(line) {
+  return line.replace(/#/g, "##").replace(/\x1b\[([\d;]*)m/g, (_, params) => {
+    const p = params.split(";").map(Number);
+    const styles = [];
+    for (let i = 0; i < p.length; i++) {
+      const n = p[i];
+      if (n === 0) styles.push("default");
+      else if (n === 1) styles.push("bold");
+      else if (n === 2) styles.push("dim");
+      else if (n === 4) styles.push("underscore");
+      else if (n === 39) styles.push("fg=default");
+      else if (n === 38 && p[i + 1] === 5) { styles.push(`fg=colour${p[i + 2]}`); i += 2; }
+      else if (n === 38 && p[i + 1] === 2) {
+        styles.push(`fg=#${p.slice(i + 2, i + 5).map((v) => v.toString(16).padStart(2, "0")).join("")}`);
+        i += 4;
+      } else if (TMUX_COLORS_16[n]) styles.push(`fg=${TMUX_COLORS_16[n]}`);
+    }
+    return styles.length ? `#[${styles.join(",")}]` : "";
+  });
+}
+
+function agentJson(a) {
+  return {
+    id: a.id, type: a.type, model: a.resolvedModel ?? a.model ?? null, description: a.description,
+    status: a.status, background: a.background ?? false, startTime: a.startTime, endTime: a.endTime ?? null,
+    lastTool: a.lastTool ?? null, toolCalls: a.toolCalls ?? null, contextTokens: a.contextTokens ?? null,
+    children: (a.children ?? []).map(agentJson),
+  };
+}
+
+function metricsJson(ctx, stdin, savedAt) {
+  const t = ctx.transcript;
+  return {
+    generatedAt: new Date().toISOString(),
+    payloadSavedAt: savedAt ? new Date(savedAt).toISOString() : null,
+    session: {
+      id: stdin.session_id ?? null,
+      transcript: stdin.transcript_path ?? null,
+      cwd: stdin.workspace?.current_dir ?? stdin.cwd ?? null,
+      project: stdin.workspace?.project_dir ?? null,
+      ...sessionTiming(t, ctx.cost),
+    },
+    model: { id: stdin.model?.id ?? null, name: ctx.modelId },
+    version: { current: ctx.version, latest: ctx.versionStatus?.latest ?? null, status: ctx.versionStatus?.status ?? null, behind: ctx.versionStatus?.behind ?? 0 },
+    context: { ...ctx.context, compactions: t.compactions },
+    usage: ctx.usage,
+    cost: {
+      reportedUsd: ctx.cost?.total_cost_usd ?? null,
+      estimatedUsd: ctx.costSummary.usd,
+      tokens: ctx.costSummary.tokens,
+      cacheHit: ctx.costSummary.cacheHit,
+      models: ctx.costSummary.models,
+    },
+    changes: { added: ctx.cost?.total_lines_added ?? 0, removed: ctx.cost?.total_lines_removed ?? 0 },
+    git: ctx.git,
+    tools: { pending: t.pendingTools, errors: t.toolErrors },
+    agents: t.agents.map(agentJson),
+    todos: t.todos.map(({ content, status, activeForm }) => ({ content, status, activeForm: activeForm ?? null })),
+    plugins: ctx.plugins,
+  };
+}
+
+// ── Preview ────────────────────────────────────────────────────────────────────
+// --preview draws the bar for built-in scenarios, or for a saved payload and
+// transcript, side by side in as many columns as the terminal has room for.
+// Nothing is read from the caches or fetched:
+// usage, git and npm versions come from the scenario, and the clock is pinned
+// (--now), so the same command always draws the same bars.
+const PREVIEW_NOW = "2026-02-09T15:00:00Z";
+const PREVIEW_CWD = "/home/you/projects/metricc";
+const PREVIEW_MODEL = "claude-opus-4-6";
+const PREVIEW_VERSION = "2.1.37";
+const PREVIEW_MIN_COLUMN = 90; // narrowest column worth putting another one beside
+const PREVIEW_GUTTER = 3;      // " │ " between columns
 
-  // Rate limits
-  if (usage) {
-    const fhColor = colorForPercent(usage.fiveHour, 60, 80);
-    const wkColor = colorForPercent(usage.sevenDay, 60, 80);
-    const fhReset = formatResetTime(usage.fiveHourResets);
-    const wkReset = formatResetTime(usage.sevenDayResets);
-    parts.push(`${c.gray}5h:${c.reset} ${fhColor}${Math.round(usage.fiveHour)}%${c.reset}${fhReset ? ` ${fhReset}` : ""}`);
-    parts.push(`${c.gray}7d:${c.reset} ${wkColor}${Math.round(usage.sevenDay)}%${c.reset}${wkReset ? ` ${wkReset}` : ""}`);
-  } else {
-    parts.push(`${c.gray}5h: --${c.reset}`);
-    parts.push(`${c.gray}7d: --${c.reset}`);
+// Limits are [percent, minutes until reset]; todos are [content, status, activeForm];
+// minutes are counted back from "now".
+const PREVIEW_SCENARIOS = {
+  idle: {
+    title: "fresh session, nothing running",
+    limits: { five_hour: [8, 262], seven_day: [14, 5900] },
+    context: 12, minutes: 4, lines: [12, 3],
+    git: ["# branch.oid 4f2a9c1", "# branch.head main", "# branch.upstream origin/main", "# branch.ab +0 -0"],
+  },
+  warn: {
+    title: "busy afternoon, limits getting close",
+    limits: { five_hour: [74, 96], seven_day: [71, 2300], seven_day_opus: [58, 2300] },
+    context: 70, minutes: 72, lines: [340, 95],
+    latest: "2.1.39",
+    git: ["# branch.oid 8d03e7b", "# branch.head feature/layout", "# branch.upstream origin/feature/layout", "# branch.ab +1 -0",
+      "1 M. N... 100644 100644 100644 0 0 src/hud.mjs", "1 M. N... 100644 100644 100644 0 0 README.md",
+      "1 .M N... 100644 100644 100644 0 0 src/layout.mjs", "? notes.md"],
+    todos: [
+      ["Measure segment widths", "completed", "Measuring segment widths"],
+      ["Degrade segments round-robin", "completed", "Degrading segments"],
+      ["Fit the agent tree to the terminal", "in_progress", "Fitting the agent tree"],
+      ["Update the README", "pending", "Updating the README"],
+      ["Retake screenshots", "pending", "Retaking screenshots"],
+    ],
+    pending: { ago: 0.7, name: "Bash", input: { command: "npm test" } },
+  },
+  critical: {
+    title: "limits nearly spent, context about to compact",
+    limits: { five_hour: [93, 38], seven_day: [88, 1500], seven_day_opus: [91, 1500] },
+    context: 94, minutes: 185, lines: [1260, 480], compactions: 1,
+    git: ["# branch.oid c71be02", "# branch.head main", "# branch.upstream origin/main", "# branch.ab +3 -2",
+      "u UU N... 100644 100644 100644 100644 0 0 0 src/hud.mjs", "1 .M N... 100644 100644 100644 0 0 README.md"],
+    failed: [["Edit", { file_path: "src/hud.mjs" }], ["Edit", { file_path: "src/layout.mjs" }]],
+    pending: { ago: 0.5, name: "Bash", input: { command: "npm run build" } },
+  },
+  agents: {
+    title: "five agents running",
+    limits: { five_hour: [46, 180], seven_day: [33, 4100] },
+    context: 41, minutes: 23, lines: [88, 14],
+    git: ["# branch.oid 1e9f4d6", "# branch.head main", "# branch.upstream origin/main", "# branch.ab +0 -0", "1 .M N... 100644 100644 100644 0 0 src/hud.mjs"],
+    agents: [
+      { type: "Explore", model: "haiku", description: "Find every caller of fitSegments", ago: 9 },
+      { type: "general-purpose", model: "sonnet", description: "Rewrite the layout tests", ago: 7 },
+      { type: "code-reviewer", model: "opus", description: "Review the width degradation", ago: 5 },
+      { type: "Explore", model: "haiku", description: "Survey terminal width detection", ago: 3 },
+      { type: "general-purpose", model: "sonnet", description: "Draft the changelog entry", ago: 1 },
+    ],
+  },
+  done: {
+    title: "all todos done",
+    limits: { five_hour: [35, 140], seven_day: [27, 4600] },
+    context: 57, minutes: 48, lines: [512, 130],
+    git: ["# branch.oid 5b8e2a0", "# branch.head feature/layout", "# branch.upstream origin/feature/layout", "# branch.ab +4 -0"],
+    todos: [
+      ["Measure segment widths", "completed", "Measuring segment widths"],
+      ["Degrade segments round-robin", "completed", "Degrading segments"],
+      ["Fit the agent tree to the terminal", "completed", "Fitting the agent tree"],
+      ["Update the README", "completed", "Updating the README"],
+    ],
+    agents: [{ type: "code-reviewer", model: "opus", description: "Review the width degradation", ago: 20, done: 12 }],
+  },
+};
+
+function previewStdin(scenario, now, transcriptPath) {
+  const size = CONTEXT_WINDOW_DEFAULT;
+  const used = Math.round(size * scenario.context / 100);
+  return {
+    session_id: "preview",
+    transcript_path: transcriptPath,
+    cwd: PREVIEW_CWD,
+    workspace: { current_dir: PREVIEW_CWD, project_dir: PREVIEW_CWD },
+    model: { id: PREVIEW_MODEL, display_name: "Opus" },
+    version: PREVIEW_VERSION,
+    cost: {
+      total_cost_usd: Math.round(scenario.minutes * 9) / 100,
+      total_duration_ms: scenario.minutes * 60_000,
+      total_lines_added: scenario.lines[0],
+      total_lines_removed: scenario.lines[1],
+    },
+    context_window: {
+      context_window_size: size,
+      used_percentage: scenario.context,
+      current_usage: { input_tokens: 2_000, cache_creation_input_tokens: 4_000, cache_read_input_tokens: used - 6_000 },
+    },
+  };
+}
+
+// A /api/oauth/usage response, so it goes through the same parsing as the real one.
+function previewUsageResponse(scenario, now) {
+  const resp = {};
+  for (const [id, [utilization, resetsIn]] of Object.entries(scenario.limits)) {
+    resp[id] = { utilization, resets_at: new Date(now + resetsIn * 60_000).toISOString() };
   }
+  return resp;
+}
 
-  // Context window
-  const ctxColor = colorForPercent(contextPct);
-  parts.push(`${c.gray}Context:${c.reset} ${ctxColor}${contextPct}%${c.reset}`);
+function previewTranscript(scenario, now) {
+  const lines = [];
+  let seq = 0;
+  const at = (ago) => new Date(now - ago * 60_000).toISOString();
+  const add = (ago, type, content, extra = {}) => lines.push({
+    type, timestamp: at(ago), cwd: PREVIEW_CWD, sessionId: "preview", message: { role: type, content, ...extra },
+  });
+  const say = (ago, content) => add(ago, "assistant", content, {
+    id: `msg_${++seq}`, model: PREVIEW_MODEL,
+    usage: { input_tokens: 1_200, output_tokens: 900, cache_read_input_tokens: 24_000 },
+  });
+  const call = (ago, name, input) => {
+    const id = `toolu_${++seq}`;
+    say(ago, [{ type: "tool_use", id, name, input }]);
+    return id;
+  };
+  const reply = (ago, id, text, isError = false) => add(ago, "user", [{ type: "tool_result", tool_use_id: id, content: text, is_error: isError }]);
 
-  // Lines changed
-  const added = cost?.total_lines_added ?? 0;
-  const removed = cost?.total_lines_removed ?? 0;
-  if (added || removed) {
-    parts.push(`${c.gray}Changes:${c.reset} ${c.green}+${added}${c.reset}${c.dim}/${c.reset}${c.red}-${removed}${c.reset}`);
-  } else {
-    parts.push(`${c.gray}Changes:${c.reset} ${c.dim}+0/-0${c.reset}`);
+  add(scenario.minutes, "user", "Make the status bar fit narrow terminals");
+  // Long sessions need activity in between, or the gap reads as a resumed session.
+  for (let ago = scenario.minutes - 0.5; ago > 0; ago -= 30) say(ago, [{ type: "text", text: "Working on it." }]);
+  add(0.8, "user", "Keep going");
+  if (scenario.compactions) {
+    lines.push({ type: "system", subtype: "compact_boundary", timestamp: at(scenario.minutes / 2) });
+    add(scenario.minutes / 2 - 0.1, "user", "Summary of the conversation so far.", {});
+    lines[lines.length - 1].isCompactSummary = true;
+  }
+  if (scenario.todos) {
+    const id = call(scenario.minutes - 1, "TodoWrite", {
+      todos: scenario.todos.map(([content, status, activeForm]) => ({ content, status, activeForm })),
+    });
+    reply(scenario.minutes - 1, id, "Todos have been modified successfully.");
   }
+  (scenario.failed ?? []).forEach(([name, input], i) => {
+    const ago = 10 - i * 2;
+    reply(ago - 0.1, call(ago, name, input), "String to replace not found in file.", true);
+  });
+  for (const a of scenario.agents ?? []) {
+    const id = call(a.ago, "Task", { subagent_type: a.type, model: a.model, description: a.description, prompt: a.description });
+    if (a.done != null) reply(a.done, id, "Done.");
+  }
+  if (scenario.pending) call(scenario.pending.ago, scenario.pending.name, scenario.pending.input);
+  lines.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return lines.map((l) => JSON.stringify(l)).join("\n") + "\n";
+}
 
-  // Agents
-  const running = transcript.agents.filter((a) => a.status === "running");
-  if (running.length > 0) {
-    parts.push(`${c.gray}Agents:${c.reset} ${c.cyan}${running.length}${c.reset}`);
+async function renderPreview(name, { stdin, usageResp, git, latest }, config) {
+  const context = getContextInfo(stdin, config.context);
+  const version = getVersion(stdin);
+  const transcript = await parseTranscript(stdin.transcript_path);
+  if (transcript.agents.some((a) => a.status === "running")) {
+    await attachSidechains(transcript.agents, listSidechains(stdin.transcript_path), Infinity);
   }
+  const { data } = usageFromResponse(usageResp, []);
+  const info = { tags: { [config.version.channel]: latest }, versions: [...new Set([version, latest].filter(Boolean))] };
+  const ctx = {
+    usage: { ...data, ageMs: 0, error: null }, transcript, context, contextPct: context.pct,
+    git: git && { ...parseGitStatus(git.join("\n")), operation: null }, sessions: null,
+    modelId: getModelId(stdin), version, versionStatus: versionStatus(version, info, config.version.channel),
+    cost: stdin.cost, costSummary: computeCost(transcript.usage, config.cost.prices), configErrors: [],
+  };
+  const segmentsShown = config.segments.filter((s) => !config.hide.includes(s));
+  ctx.plugins = await collectPlugins(segmentsShown.filter((id) => typeof id === "string" && "plugin" in SEGMENTS[id]), ctx, stdin, config);
+  const width = terminalWidth(config.layout);
+  return [`${c.dim}${truncateVisible(name, width)}${c.reset}`, ...render(ctx, config).replace(/\n+$/, "").split("\n")];
+}
 
-  // Todos
-  if (transcript.todos.length > 0) {
-    const done = transcript.todos.filter((t) => t.status === "completed").length;
-    const total = transcript.todos.length;
-    const todoColor = done === total ? c.green : c.yellow;
-    parts.push(`${c.gray}Todos:${c.reset} ${todoColor}${done}/${total}${c.reset}`);
+// Panels (arrays of lines) in rows of `columns`, each padded to `width`.
+function layoutPreviews(panels, columns, width) {
+  const gutter = `${c.dim} │ ${c.reset}`;
+  const rows = [];
+  for (let i = 0; i < panels.length; i += columns) {
+    const group = panels.slice(i, i + columns);
+    const height = Math.max(...group.map((p) => p.length));
+    const lines = [];
+    for (let l = 0; l < height; l++) {
+      const cells = group.map((p) => p[l] ?? "");
+      // Shorter panels on the right end early instead of trailing gutters.
+      while (cells.length > 1 && !cells[cells.length - 1]) cells.pop();
+      const last = cells.length - 1;
+      lines.push(cells.map((t, j) => (j < last ? t + " ".repeat(Math.max(0, width - visibleWidth(t))) : t)).join(gutter));
+    }
+    rows.push(lines.join("\n"));
   }
+  return rows.join("\n\n");
+}
 
-  // Model ID
-  parts.push(`${c.dim}${modelId}${c.reset}`);
+// Columns and the width of each: --width pins the column width, --columns the
+// count, and whatever isn't pinned is worked out from the terminal width.
+function previewColumns(total, count, width, columns) {
+  if (width == null && total === Infinity) return { columns: 1, width: Infinity };
+  const fit = (w) => Math.max(1, Math.floor((total + PREVIEW_GUTTER) / (w + PREVIEW_GUTTER)));
+  const n = Math.min(count, columns ?? fit(width ?? PREVIEW_MIN_COLUMN));
+  return { columns: n, width: width ?? Math.max(20, Math.floor((total - PREVIEW_GUTTER * (n - 1)) / n)) };
+}
 
-  // CC version + update status
-  const displayVersion = version || latestVersion;
-  if (displayVersion) {
-    let versionStatus = "";
-    if (version && latestVersion) {
-      versionStatus = version === latestVersion
-        ? ` ${c.dim}(latest)${c.reset}`
-        : ` ${c.yellow}(update avail)${c.reset}`;
-    } else if (!version && latestVersion) {
-      versionStatus = ` ${c.dim}(latest)${c.reset}`;
+function readJsonFile(path, what) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    console.error(`[HUD] preview: can't read ${what} ${path}: ${err.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+async function runPreview(args) {
+  const flags = ["--stdin", "--transcript", "--usage", "--width", "--columns", "--now"];
+  const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+  const names = args.filter((a, i) => !a.startsWith("--") && !flags.includes(args[i - 1]));
+  const unknown = names.filter((n) => !Object.hasOwn(PREVIEW_SCENARIOS, n));
+  if (unknown.length) {
+    console.error(`[HUD] preview: unknown scenario "${unknown[0]}" (pick from ${Object.keys(PREVIEW_SCENARIOS).join(", ")})`);
+    process.exitCode = 1;
+    return;
+  }
+  const now = Date.parse(flag("--now") ?? PREVIEW_NOW);
+  const width = flag("--width") == null ? null : parseInt(flag("--width"), 10);
+  const columns = flag("--columns") == null ? null : parseInt(flag("--columns"), 10);
+  if (isNaN(now) || (width != null && !(width > 0)) || (columns != null && !(columns > 0))) {
+    console.error("[HUD] preview: --now takes a date like 2026-02-09T15:00:00Z, --width a number of characters and --columns a count");
+    process.exitCode = 1;
+    return;
+  }
+
+  // From here on nothing the bar computes from the clock can drift between runs.
+  Date.now = () => now;
+  keepParserState = false;
+  await loadPlugins();
+  const { config: loaded, errors } = loadConfig(process.cwd());
+  applyTheme(loaded.theme);
+  for (const e of errors) console.error(`[HUD] config: ${e}`);
+
+  const previews = [];
+  if (flag("--stdin")) {
+    const saved = readJsonFile(flag("--stdin"), "payload");
+    // .last-stdin.json wraps the payload with the time it was saved.
+    const stdin = saved?.savedAt && isPlainObject(saved.payload) ? saved.payload : saved;
+    const usageResp = flag("--usage") ? readJsonFile(flag("--usage"), "usage response") : previewUsageResponse(PREVIEW_SCENARIOS.idle, now);
+    if (!stdin || !usageResp) return;
+    if (flag("--transcript")) stdin.transcript_path = flag("--transcript");
+    previews.push(["payload: " + basename(flag("--stdin")), { stdin, usageResp, git: null, latest: getVersion(stdin) }]);
+  } else if (flag("--transcript") || flag("--usage")) {
+    console.error("[HUD] preview: --transcript and --usage go with --stdin <payload.json>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const scenarios = names.length || previews.length ? names : Object.keys(PREVIEW_SCENARIOS);
+  const dir = scenarios.length ? mkdtempSync(join(tmpdir(), "metricc-preview-")) : null;
+  try {
+    for (const name of scenarios) {
+      const scenario = PREVIEW_SCENARIOS[name];
+      const transcriptPath = join(dir, `${name}.jsonl`);
+      writeFileSync(transcriptPath, previewTranscript(scenario, now));
+      previews.push([`${name}: ${scenario.title}`, {
+        stdin: previewStdin(scenario, now, transcriptPath),
+        usageResp: previewUsageResponse(scenario, now),
+        git: scenario.git,
+        latest: scenario.latest ?? PREVIEW_VERSION,
+      }]);
     }
-    parts.push(`${c.dim}CC v${displayVersion}${c.reset}${versionStatus}`);
+    const grid = previewColumns(terminalWidth(loaded.layout), previews.length, width, columns);
+    const config = grid.width === Infinity ? loaded : mergeConfig(loaded, { layout: { width: grid.width } });
+    const panels = [];
+    for (const [name, fixture] of previews) panels.push(await renderPreview(name, fixture, config));
+    console.log(layoutPreviews(panels, grid.columns, grid.width));
+  } finally {
+    if (dir) rmSync(dir, { recursive: true, force: true });
   }
+}
 
-  // Main line
-  const mainLine = parts.join(` ${c.dim}|${c.reset} `);
+// ── Setup & Diagnostics ────────────────────────────────────────────────────────
+// --install points Claude Code's statusLine at this script; --doctor walks
+// through everything the bar depends on and says what's wrong.
+const SCRIPT_PATH = fileURLToPath(import.meta.url);
+
+function statusLineCommand() {
+  const path = SCRIPT_PATH.includes(" ") ? `"${SCRIPT_PATH}"` : SCRIPT_PATH;
+  return `node ${path}`;
+}
 
-  // Agent detail lines
-  const agentLines = [];
-  if (running.length > 0) {
-    for (let i = 0; i < running.length && i < 5; i++) {
-      const a = running[i];
-      const isLast = i === running.length - 1 || i === 4;
-      const prefix = isLast ? "└─" : "├─";
-      const elapsed = formatDuration(Date.now() - a.startTime.getTime());
-      const type = (a.type || "agent").substring(0, 14).padEnd(14);
-      const desc = (a.description || "").substring(0, 45);
-      const modelBadge = a.model === "opus" ? `${c.magenta}O${c.reset}` : a.model === "haiku" ? `${c.green}h${c.reset}` : `${c.cyan}s${c.reset}`;
-      agentLines.push(`${c.dim}${prefix}${c.reset} ${modelBadge} ${c.white}${type}${c.reset} ${c.dim}${elapsed.padStart(5)}${c.reset}   ${c.gray}${desc}${c.reset}`);
+function runInstall() {
+  let settings = {};
+  if (existsSync(SETTINGS_PATH)) {
+    try {
+      settings = JSON.parse(readFileSync(SETTINGS_PATH, "utf-8"));
+    } catch (err) {
+      console.error(`[HUD] install: ${displayPath(SETTINGS_PATH)} isn't valid JSON (${err.message}) — fix it first, nothing was changed.`);
+      process.exitCode = 1;
+      return;
+    }
+    if (!isPlainObject(settings)) {
+      console.error(`[HUD] install: ${displayPath(SETTINGS_PATH)} isn't a JSON object — nothing was changed.`);
+      process.exitCode = 1;
+      return;
     }
   }
 
-  const output = agentLines.length > 0 ? mainLine + "\n" + agentLines.join("\n") : mainLine;
-  return output + "\n";
+  const command = statusLineCommand();
+  const previous = settings.statusLine;
+  const next = { ...settings, statusLine: { ...(isPlainObject(previous) ? previous : {}), type: "command", command } };
+  next.statusLine.padding ??= 1;
+  // Older versions of the README had people put the command in "env", where
+  // Claude Code never looks for it.
+  const strayEnv = isPlainObject(settings.env) && "CLAUDE_CODE_STATUSLINE_COMMAND" in settings.env;
+  if (strayEnv) {
+    next.env = { ...settings.env };
+    delete next.env.CLAUDE_CODE_STATUSLINE_COMMAND;
+    if (Object.keys(next.env).length === 0) delete next.env;
+  }
+  if (JSON.stringify(next) === JSON.stringify(settings)) {
+    console.log(`Already installed: ${displayPath(SETTINGS_PATH)} runs ${command}`);
+    return;
+  }
+
+  try {
+    if (existsSync(SETTINGS_PATH)) {
+      const backup = `${SETTINGS_PATH}.${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
+      copyFileSync(SETTINGS_PATH, backup);
+      console.log(`Backed up ${displayPath(SETTINGS_PATH)} to ${displayPath(backup)}`);
+    }
+    writeFileAtomic(SETTINGS_PATH, JSON.stringify(next, null, 2) + "\n");
+  } catch (err) {
+    console.error(`[HUD] install: couldn't write ${displayPath(SETTINGS_PATH)}: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (previous?.command && previous.command !== command) console.log(`Replaced statusLine command: ${previous.command}`);
+  if (strayEnv) console.log("Removed env.CLAUDE_CODE_STATUSLINE_COMMAND (Claude Code doesn't read it)");
+  console.log(`statusLine now runs: ${command}\nRestart Claude Code to see the HUD.`);
+}
+
+async function timed(fn) {
+  const start = process.hrtime.bigint();
+  const value = await fn();
+  return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function fileAge(path) {
+  try { return Date.now() - statSync(path).mtimeMs; } catch { return null; }
+}
+
+async function runDoctor() {
+  applyTheme(loadConfig(null).config.theme);
+  let problems = 0;
+  const report = (level, label, detail) => {
+    const mark = level === "ok" ? `${c.green}✓${c.reset}` : level === "warn" ? `${c.yellow}!${c.reset}` : `${c.red}✗${c.reset}`;
+    if (level === "fail") problems++;
+    console.log(`${mark} ${label}${detail ? `${c.dim} — ${detail}${c.reset}` : ""}`);
+  };
+
+  // Node and folders
+  const major = parseInt(process.versions.node, 10);
+  report(major >= 18 ? "ok" : "fail", `Node ${process.versions.node}`, major >= 18 ? "" : "Node 18 or newer is required");
+  report(existsSync(CLAUDE_DIR) ? "ok" : "fail", `Claude Code folder ${displayPath(CLAUDE_DIR)}`,
+    process.env.CLAUDE_CONFIG_DIR ? "from CLAUDE_CONFIG_DIR" : existsSync(CLAUDE_DIR) ? "" : "not found; has Claude Code run on this machine?");
+
+  // settings.json
+  let settings = null;
+  try { settings = JSON.parse(readFileSync(SETTINGS_PATH, "utf-8")); } catch (err) {
+    report("fail", `Settings ${displayPath(SETTINGS_PATH)}`, err.code === "ENOENT" ? "missing, run with --install" : `not valid JSON: ${err.message}`);
+  }
+  if (settings) {
+    const sl = settings.statusLine;
+    const cmd = typeof sl?.command === "string" ? sl.command : "";
+    // The script is the last argument, quoted when its path has spaces (as --install writes it).
+    const arg = cmd.match(/(?:"([^"]+)"|(\S+))\s*$/);
+    const script = arg?.[1] ?? arg?.[2];
+    const target = /(?:custom|omc)-hud\.mjs$/.test(script ?? "") ? script.replace(/^~(?=\/|$)/, HOME) : null;
+    if (!sl) report("fail", "statusLine", "not set, run with --install");
+    else if (sl.type !== "command") report("fail", "statusLine", `type is "${sl.type}", expected "command"`);
+    else if (!target) report("warn", `statusLine runs ${cmd}`, "not a METRICC script");
+    else if (!existsSync(target)) report("fail", `statusLine runs ${cmd}`, `${target} doesn't exist`);
+    else report("ok", `statusLine runs ${cmd}`);
+    if (isPlainObject(settings.env) && "CLAUDE_CODE_STATUSLINE_COMMAND" in settings.env) {
+      report("warn", "env.CLAUDE_CODE_STATUSLINE_COMMAND is set", "Claude Code ignores it; --install removes it");
+    }
+  }
+
+  // HUD config and plugins
+  await loadPlugins();
+  const { errors } = loadConfig(process.cwd());
+  if (errors.length) errors.forEach((e) => report("fail", "Config", e));
+  else report("ok", `Config ${existsSync(CONFIG_PATH) ? displayPath(CONFIG_PATH) : "(defaults)"}`);
+  for (const [id, seg] of Object.entries(SEGMENTS)) {
+    if (!("plugin" in seg)) continue;
+    report(seg.plugin ? "ok" : "fail", `Plugin ${id}`, seg.error ?? "");
+  }
+
+  // Credentials
+  const creds = getCredentials();
+  if (!creds) report("fail", `Credentials ${displayPath(CRED_PATH)}`, "no OAuth token; log in to Claude Code with a Pro/Max account to see rate limits");
+  else if (isExpired(creds)) report(creds.refreshToken ? "warn" : "fail", "Credentials", `access token expired ${formatEta(Date.now() - creds.expiresAt)} ago${creds.refreshToken ? ", will be refreshed" : " and there's no refresh token"}`);
+  else report("ok", "Credentials", creds.expiresAt ? `token valid for ${formatEta(creds.expiresAt - Date.now())}` : "");
+
+  // Caches
+  const cache = readCache();
+  if (!cache) report(existsSync(CACHE_PATH) ? "fail" : "warn", "Usage cache", existsSync(CACHE_PATH) ? "unreadable" : "not written yet");
+  else if (cache.error) report("fail", "Usage cache", `last fetch failed: ${cache.error.kind}${cache.error.status ? ` (HTTP ${cache.error.status})` : ""}, retry in ${formatEta(Math.max(0, (cache.retryAt ?? 0) - Date.now()))}`);
+  else report("ok", "Usage cache", `updated ${formatEta(Date.now() - cache.timestamp)} ago`);
+  for (const [label, path] of [["Version cache", VERSION_CACHE_PATH], ["Git cache", GIT_CACHE_PATH], ["Sessions cache", SESSIONS_CACHE_PATH]]) {
+    if (!existsSync(path)) continue;
+    let ok = true;
+    try { JSON.parse(readFileSync(path, "utf-8")); } catch { ok = false; }
+    report(ok ? "ok" : "fail", label, ok ? `updated ${formatEta(fileAge(path))} ago` : "unreadable, delete it and it will be rebuilt");
+  }
+  if (isLocked(REFRESH_LOCK_PATH, REFRESH_LOCK_STALE_MS)) report("warn", "Background refresh", "running right now");
+
+  // The last payload Claude Code sent: "waiting for data" means there isn't one.
+  const last = readLastStdin();
+  if (!last) report("fail", "Statusline data", "Claude Code hasn't run the HUD yet; check statusLine above and restart Claude Code");
+  else report("ok", "Statusline data", `last received ${formatEta(Date.now() - last.savedAt)} ago`);
+  const transcriptPath = last?.payload?.transcript_path;
+  if (transcriptPath) {
+    try {
+      const size = statSync(transcriptPath).size;
+      closeSync(openSync(transcriptPath, "r"));
+      report("ok", `Transcript ${displayPath(transcriptPath)}`, `${(size / 1024 / 1024).toFixed(1)} MB`);
+    } catch (err) {
+      report("fail", `Transcript ${displayPath(transcriptPath)}`, err.code === "ENOENT" ? "gone (session ended?)" : err.message);
+    }
+  }
+
+  // Timing. The fetches run in the background refresher, so they're only
+  // measured here; the caches are left alone.
+  const { config } = loadConfig(last?.payload?.workspace?.project_dir ?? null);
+  if (creds && !isExpired(creds)) {
+    const { value, ms } = await timed(() => fetchUsage(creds.accessToken, config.network));
+    report(value.error ? "fail" : "ok", `Usage API ${ms.toFixed(0)} ms`, value.error ? `${value.error.kind}${value.error.status ? ` (HTTP ${value.error.status})` : ""}` : "");
+  }
+  if (config.version.check) {
+    const { value, ms } = await timed(() => fetchVersions(config.version.registry, config.network));
+    report(value ? "ok" : "fail", `npm registry ${ms.toFixed(0)} ms`, value ? "" : `no answer from ${config.version.registry}`);
+  }
+  // Parsing and git status happen on every render, against its budget: the
+  // transcript is parsed from scratch (the worst case, after a cache miss) and
+  // git is run rather than read from its cache.
+  const budget = config.render.budgetMs;
+  const timings = [];
+  if (transcriptPath && existsSync(transcriptPath)) {
+    keepParserState = false;
+    timings.push(["Transcript parse (full)", await timed(() => parseTranscript(transcriptPath))]);
+    keepParserState = true;
+  }
+  const cwd = last?.payload?.workspace?.current_dir ?? last?.payload?.cwd;
+  if (cwd) timings.push(["git status", await timed(() => runGit(cwd, GIT_TIMEOUT_MS))]);
+  for (const [name, { ms }] of timings) {
+    report(ms < budget / 2 ? "ok" : "warn", `${name} ${ms.toFixed(1)} ms`, ms < budget / 2 ? "" : `a big share of the ${budget} ms render budget`);
+  }
+
+  console.log(problems ? `\n${problems} problem${problems === 1 ? "" : "s"} found.` : "\nEverything looks fine.");
+  if (problems) process.exitCode = 1;
 }
 
 // ── Main ───────────────────────────────────────────────────────────────────────
 async function main() {
-  const stdin = await readStdin();
+  const startedAt = Date.now();
+  const args = process.argv.slice(2);
+  if (args[0] === "report") return runReport(args.slice(1));
+  if (args[0] === "sessions") return runSessions(args.slice(1));
+  if (args[0] === "--refresh") return runRefresh();
+  if (args[0] === "--install") return runInstall();
+  if (args[0] === "--doctor") return runDoctor();
+  if (args[0] === "--preview") return runPreview(args.slice(1));
+
+  const formatIdx = args.indexOf("--format");
+  const format = formatIdx >= 0 ? args[formatIdx + 1] : "ansi";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`[HUD] --format must be one of ${OUTPUT_FORMATS.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+  // Only Claude Code's own invocation updates the saved payload; everything
+  // else can fall back to it.
+  const useLast = args.includes("--last");
+  let stdin = useLast ? null : await readStdin();
+  let savedAt = null;
+  if (stdin && format === "ansi") saveLastStdin(stdin);
+  else if (!stdin && (useLast || format !== "ansi")) ({ payload: stdin, savedAt } = readLastStdin() ?? {});
   if (!stdin) {
+    if (format !== "ansi") {
+      console.error("[HUD] no statusline data yet — Claude Code hasn't run the HUD on this machine");
+      process.exitCode = 1;
+      return;
+    }
+    applyTheme(loadConfig(null).config.theme);
     console.log(`${c.dim}[HUD] waiting for data...${c.reset}`);
     return;
   }
 
-  const contextPct = getContextPercent(stdin);
+  // Plugin ids have to be known before the config validates, and the budget
+  // before plugins load, so the budget comes from a first read of the config.
+  const projectDir = stdin.workspace?.project_dir ?? stdin.cwd;
+  const deadline = startedAt + loadConfig(projectDir).config.render.budgetMs;
+  await loadPlugins(deadline);
+  const { config, errors: configErrors } = loadConfig(projectDir);
+  // tmux does its own color downsampling, so it always gets full color.
+  if (format === "plain") applyTheme({ ...config.theme, colorLevel: "none" });
+  else if (format === "tmux" && config.theme.colorLevel === "auto") applyTheme({ ...config.theme, colorLevel: "truecolor" });
+  else applyTheme(config.theme);
+  const context = getContextInfo(stdin, config.context);
   const modelId = getModelId(stdin);
   const version = getVersion(stdin);
 
-  // Run usage API, transcript parsing, and version check concurrently
-  const [usage, transcript, latestVersion] = await Promise.all([
-    getUsage(),
-    parseTranscript(stdin.transcript_path),
-    getLatestVersion(),
-  ]);
+  // Usage and version come straight from their caches; the transcript parser
+  // stops at the deadline and picks up from there on the next refresh.
+  const usage = getUsage();
+  const versionInfo = getVersionInfo(config.version);
+  const segmentsShown = config.segments.filter((s) => !config.hide.includes(s));
+  const gitStatus = segmentsShown.includes("git") ? getGitStatus(stdin.workspace?.current_dir ?? stdin.cwd, deadline) : null;
+  const transcript = await parseTranscript(stdin.transcript_path, deadline);
+  if (transcript.agents.some((a) => a.status === "running")) {
+    await attachSidechains(transcript.agents, listSidechains(stdin.transcript_path), deadline);
+  }
 
-  console.log(render(usage, transcript, contextPct, modelId, version, latestVersion, stdin.cost));
+  const costSummary = computeCost(transcript.usage, config.cost.prices);
+  const git = await gitStatus;
+  const sessions = segmentsShown.includes("sessions") ? await getSessionsOverview(stdin.transcript_path, transcript, deadline) : null;
+  const ctx = { usage, transcript, context, contextPct: context.pct, git, sessions, modelId, version, versionStatus: versionStatus(version, versionInfo, config.version.channel), cost: stdin.cost, costSummary, configErrors };
+  ctx.plugins = await collectPlugins(segmentsShown.filter((id) => typeof id === "string" && "plugin" in SEGMENTS[id]), ctx, stdin, config, deadline);
+  if (format === "json") return console.log(JSON.stringify(metricsJson(ctx, stdin, savedAt), null, 2));
+  const out = render(ctx, config);
+  // A tmux status line is a single line.
+  if (format === "tmux") return console.log(ansiToTmux(out.split("\n")[0]));
+  // Dim and bold survive colorLevel "none"; plain output drops them too.
+  console.log(format === "plain" ? out.replace(ANSI_RE, "") : out);
+  if (format !== "ansi") return;
+  if (config.history.enabled) recordHistory(config.history, stdin, ctx);
+  if (config.alerts.channels.length) await checkAlerts(config, stdin, ctx);
 }
 
-main().catch((err) => {
+main().then(() => {
+  // A plugin can leave timers or sockets holding the event loop open, whether
+  // it timed out or not.
+  if (pluginsLoaded) setTimeout(() => process.exit(), 100).unref();
+}).catch((err) => {
   console.log(`[HUD] error: ${err.message}`);
 });
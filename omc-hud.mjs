@@ -1,52 +1,105 @@
 #!/usr/bin/env node
 /**
  * OMC HUD - Statusline Script
- * Wrapper that imports from plugin cache or development paths
+ * Runs the oh-my-claudecode HUD from the plugin cache or development paths,
+ * falling back to METRICC's custom-hud.mjs when OMC isn't available.
+ *
+ * Modes (OMC_HUD_MODE env or "omc": { "mode": ... } in ~/.claude/hud/config.json,
+ * or under CLAUDE_CONFIG_DIR when that is set):
+ *   omc       OMC's HUD, or METRICC if OMC is missing or fails (default)
+ *   combined  OMC's output with METRICC's stacked underneath
+ *   metricc   METRICC only
  */
 
-import { existsSync, readdirSync } from "node:fs";
+import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
 import { homedir } from "node:os";
-import { join } from "node:path";
-import { pathToFileURL } from "node:url";
+import { join, dirname } from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
 
-// Semantic version comparison: returns negative if a < b, positive if a > b, 0 if equal
+const CHILD_TIMEOUT_MS = 5000;
+const MODES = ["omc", "combined", "metricc"];
+const SEMVER_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+// Semver precedence: negative if a < b, positive if a > b, 0 if equal. The
+// numeric core decides first; then a release outranks its prereleases, and
+// prereleases compare dot-separated identifiers, numbers as numbers (and below
+// any text), text in ASCII order, a longer list winning a tie. Kept identical
+// in custom-hud.mjs and omc-hud.mjs.
 function semverCompare(a, b) {
-  // Use parseInt to handle pre-release suffixes (e.g. "0-beta" -> 0)
-  const pa = a.replace(/^v/, "").split(".").map(s => parseInt(s, 10) || 0);
-  const pb = b.replace(/^v/, "").split(".").map(s => parseInt(s, 10) || 0);
-  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
-    const na = pa[i] || 0;
-    const nb = pb[i] || 0;
-    if (na !== nb) return na - nb;
+  const ma = SEMVER_RE.exec(a);
+  const mb = SEMVER_RE.exec(b);
+  if (!ma || !mb) return ma ? 1 : mb ? -1 : 0;
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(ma[i]) - Number(mb[i]);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  if (!ma[4] || !mb[4]) return ma[4] ? -1 : mb[4] ? 1 : 0;
+  const pa = ma[4].split(".");
+  const pb = mb[4].split(".");
+  for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+    if (pa[i] === pb[i]) continue;
+    const na = /^\d+$/.test(pa[i]);
+    const nb = /^\d+$/.test(pb[i]);
+    if (na && nb) return Math.sign(Number(pa[i]) - Number(pb[i]));
+    if (na || nb) return na ? -1 : 1;
+    return pa[i] < pb[i] ? -1 : 1;
   }
-  // If numeric parts equal, non-pre-release > pre-release
-  const aHasPre = /-/.test(a);
-  const bHasPre = /-/.test(b);
-  if (aHasPre && !bHasPre) return -1;
-  if (!aHasPre && bHasPre) return 1;
-  return 0;
+  return Math.sign(pa.length - pb.length);
 }
 
-async function main() {
-  const home = homedir();
-  let pluginCacheDir = null;
+// Claude Code pipes the statusline payload in once, and both HUDs may need it.
+async function readStdin() {
+  if (process.stdin.isTTY) return "";
+  const chunks = [];
+  try {
+    process.stdin.setEncoding("utf8");
+    for await (const chunk of process.stdin) chunks.push(chunk);
+  } catch { /* use what arrived */ }
+  return chunks.join("");
+}
 
-  // 1. Try plugin cache first (marketplace: omc, plugin: oh-my-claudecode)
-  const pluginCacheBase = join(home, ".claude/plugins/cache/omc/oh-my-claudecode");
-  if (existsSync(pluginCacheBase)) {
-    try {
-      const versions = readdirSync(pluginCacheBase);
-      if (versions.length > 0) {
-        const latestVersion = versions.sort(semverCompare).reverse()[0];
-        pluginCacheDir = join(pluginCacheBase, latestVersion);
-        const pluginPath = join(pluginCacheDir, "dist/hud/index.js");
-        if (existsSync(pluginPath)) {
-          await import(pathToFileURL(pluginPath).href);
-          return;
-        }
-      }
-    } catch { /* continue */ }
+function readConfig(claudeDir) {
+  try {
+    const config = JSON.parse(readFileSync(join(claudeDir, "hud/config.json"), "utf-8"));
+    return config?.omc && typeof config.omc === "object" ? config.omc : {};
+  } catch {
+    return {};
   }
+}
+
+// An override may name the HUD script itself or an OMC checkout/version folder.
+function resolveOverride(path, home) {
+  const p = path.replace(/^~(?=\/|$)/, home);
+  try {
+    return statSync(p).isDirectory() ? join(p, "dist/hud/index.js") : p;
+  } catch {
+    return p;
+  }
+}
+
+// Returns { path } for the OMC HUD to run, or { message } explaining why there is none.
+function findOmcHud(home, claudeDir, override) {
+  if (override) {
+    const path = resolveOverride(override, home);
+    return existsSync(path) ? { path } : { message: `[OMC] HUD not found at ${path}` };
+  }
+
+  // 1. Plugin cache (marketplace: omc, plugin: oh-my-claudecode). Other entries
+  // such as temp folders or .DS_Store are not versions and are skipped.
+  let pluginCacheDir = null;
+  const pluginCacheBase = join(claudeDir, "plugins/cache/omc/oh-my-claudecode");
+  try {
+    const versions = readdirSync(pluginCacheBase, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && SEMVER_RE.test(d.name))
+      .map((d) => d.name);
+    // Newest built version wins; an update that's still installing is passed over.
+    for (const version of versions.sort(semverCompare).reverse()) {
+      pluginCacheDir ??= join(pluginCacheBase, version);
+      const pluginPath = join(pluginCacheBase, version, "dist/hud/index.js");
+      if (existsSync(pluginPath)) return { path: pluginPath };
+    }
+  } catch { /* continue */ }
 
   // 2. Development paths
   const devPaths = [
@@ -55,22 +108,83 @@ async function main() {
     join(home, "Workspace/oh-my-claudecode/dist/hud/index.js"),
     join(home, "workspace/oh-my-claudecode/dist/hud/index.js"),
   ];
-
   for (const devPath of devPaths) {
-    if (existsSync(devPath)) {
-      try {
-        await import(pathToFileURL(devPath).href);
-        return;
-      } catch { /* continue */ }
-    }
+    if (existsSync(devPath)) return { path: devPath };
   }
 
-  // 3. Fallback - HUD not found (provide actionable error message)
-  if (pluginCacheDir) {
-    console.log(`[OMC] HUD not built. Run: cd "${pluginCacheDir}" && npm install`);
-  } else {
-    console.log("[OMC] Plugin not found. Run: /oh-my-claudecode:omc-setup");
+  // 3. Not found (provide actionable error message)
+  return {
+    message: pluginCacheDir
+      ? `[OMC] HUD not built. Run: cd "${pluginCacheDir}" && npm install`
+      : "[OMC] Plugin not found. Run: /oh-my-claudecode:omc-setup",
+  };
+}
+
+function findMetricc(claudeDir) {
+  const candidates = [
+    join(dirname(fileURLToPath(import.meta.url)), "custom-hud.mjs"),
+    join(claudeDir, "hud/custom-hud.mjs"),
+  ];
+  return candidates.find((p) => existsSync(p)) ?? null;
+}
+
+// Runs a HUD script as its own process with the buffered payload on stdin.
+// Resolves to its output, or null if it failed, timed out or printed nothing.
+function runHud(script, input) {
+  return new Promise((resolve) => {
+    let out = "";
+    let child;
+    try {
+      child = spawn(process.execPath, [script], { stdio: ["pipe", "pipe", "ignore"] });
+    } catch {
+      resolve(null);
+      return;
+    }
+    const timer = setTimeout(() => child.kill(), CHILD_TIMEOUT_MS);
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => { out += chunk; });
+    child.on("error", () => { clearTimeout(timer); resolve(null); });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve(code === 0 && out.trim() ? out : null);
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+function print(output) {
+  process.stdout.write(output.endsWith("\n") ? output : output + "\n");
+}
+
+async function main() {
+  const home = homedir();
+  const claudeDir = process.env.CLAUDE_CONFIG_DIR || join(home, ".claude");
+  const config = readConfig(claudeDir);
+  const requested = process.env.OMC_HUD_MODE || config.mode || "omc";
+  const mode = MODES.includes(requested) ? requested : "omc";
+  const input = await readStdin();
+
+  const omc = mode === "metricc" ? null : findOmcHud(home, claudeDir, process.env.OMC_HUD_PATH || config.path);
+  const metricc = findMetricc(claudeDir);
+  const [omcOut, metriccOut] = await Promise.all([
+    omc?.path ? runHud(omc.path, input) : null,
+    metricc && mode !== "omc" ? runHud(metricc, input) : null,
+  ]);
+
+  if (mode === "combined") {
+    const parts = [omcOut ?? omc.message ?? "[OMC] HUD failed", metriccOut].filter(Boolean);
+    print(parts.map((p) => p.replace(/\n+$/, "")).join("\n"));
+    return;
+  }
+  if (omcOut) {
+    print(omcOut);
+    return;
   }
+  // OMC is missing or failed (or wasn't wanted): METRICC gets the same payload.
+  const fallback = metriccOut ?? (metricc && mode === "omc" ? await runHud(metricc, input) : null);
+  if (fallback) print(fallback);
+  else print(omc?.message ?? `[OMC] custom-hud.mjs not found next to omc-hud.mjs or in ${join(claudeDir, "hud")}/`);
 }
 
 main();